@@ -1,8 +1,25 @@
-import { useState, useCallback, useRef } from 'react';
+import { useState, useCallback, useRef, useMemo } from 'react';
 import Graph from './components/Graph';
 import Controls from './components/Controls';
 import IterationList from './components/IterationList';
-import { createNewtonSolver } from './utils/newton';
+import ComplexPlane from './components/ComplexPlane';
+import SystemPlane from './components/SystemPlane';
+import KantorovichPanel from './components/KantorovichPanel';
+import RootsPanel from './components/RootsPanel';
+import PolynomialPanel from './components/PolynomialPanel';
+import {
+  createSolver,
+  checkStoppingCriteria,
+  DEFAULT_STOPPING_CRITERIA,
+  SOLVER_METHODS
+} from './utils/newton';
+import { diagnoseIterations } from './utils/diagnostics';
+import { checkKantorovich } from './utils/kantorovich';
+import { findAllRoots } from './utils/findRoots';
+import { getPolynomialCoefficients, aberthRoots, deflationRoots } from './utils/polynomial';
+
+// The real-line graph has nothing to draw for complex iterates
+const NO_ITERATIONS = [];
 
 function App() {
   const [functionExpression, setFunctionExpression] = useState('');
@@ -13,28 +30,76 @@ function App() {
   const [selectedElement, setSelectedElement] = useState(null);
   const [error, setError] = useState('');
   const [initialGuess, setInitialGuess] = useState(3);
+  const [method, setMethod] = useState('newton');
+  const [solverOptions, setSolverOptions] = useState({});
   const [visibleIterations, setVisibleIterations] = useState(new Set());
+  const [stoppingCriteria, setStoppingCriteria] = useState(DEFAULT_STOPPING_CRITERIA);
+  const [stopResult, setStopResult] = useState(null);
+  const [rootsResult, setRootsResult] = useState(null);
+  const [polynomialMethod, setPolynomialMethod] = useState('aberth');
 
   const solverRef = useRef(null);
+  const stoppingCriteriaRef = useRef(DEFAULT_STOPPING_CRITERIA);
+  // Number of leading records that are starting points rather than computed steps
+  const startCountRef = useRef(1);
+  // Visible x-range of the graph, the default interval for finding all roots
+  const viewRangeRef = useRef([-10, 10]);
 
-  const handleGraphFunction = useCallback((expression, latex, guess) => {
+  const handleGraphFunction = useCallback((expression, latex, guess, options = {}) => {
     try {
       setError('');
       setSelectedElement(null);
 
       // Create new solver
-      const solver = createNewtonSolver(expression);
-      solver.setInitialGuess(guess);
+      const solverMethod = options.method ?? 'newton';
+      const methodOptions = {
+        damping: !!options.damping,
+        precision: options.precision ?? null,
+        exact: !!options.exact
+      };
+      const criteria = options.stoppingCriteria ?? DEFAULT_STOPPING_CRITERIA;
+      const solver = createSolver(expression, solverMethod, methodOptions);
+      solver.setInitialGuess(guess, options.secondGuess);
       solverRef.current = solver;
 
       // Set state
+      const startIterations = solver.getIterations();
       setFunctionExpression(expression);
       setLatexExpression(latex);
       setInitialGuess(guess);
-      setIterations(solver.getIterations());
-      setVisibleIterations(new Set([0])); // Show first iteration by default
+      setMethod(solverMethod);
+      setSolverOptions(methodOptions);
+      setIterations(startIterations);
+      // Show the starting point(s) by default
+      setVisibleIterations(new Set(startIterations.map((_, idx) => idx)));
       setIsActive(true);
       setHasConverged(false);
+      setStopResult(null);
+      setStoppingCriteria(criteria);
+      stoppingCriteriaRef.current = criteria;
+      startCountRef.current = startIterations.length;
+      // Found roots stay while tracing runs on the same function
+      setRootsResult(prev => (prev?.expression === expression ? prev : null));
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  // Restart the solver from a point picked on the complex or system plane
+  const handlePickStart = useCallback((start) => {
+    if (!solverRef.current) return;
+
+    try {
+      setError('');
+      setSelectedElement(null);
+      solverRef.current.setInitialGuess(start);
+      const startIterations = solverRef.current.getIterations();
+      setInitialGuess(start);
+      setIterations(startIterations);
+      setVisibleIterations(new Set(startIterations.map((_, idx) => idx)));
+      setHasConverged(false);
+      setStopResult(null);
+      startCountRef.current = startIterations.length;
     } catch (err) {
       setError(err.message);
     }
@@ -52,8 +117,10 @@ function App() {
       // Add new iteration to visible set
       setVisibleIterations(prev => new Set([...prev, newIterations.length - 1]));
 
-      // Check for convergence
-      if (solverRef.current.hasConverged()) {
+      // Check the stopping criteria
+      const result = checkStoppingCriteria(newIterations, stoppingCriteriaRef.current, startCountRef.current);
+      setStopResult(result);
+      if (result?.converged) {
         setHasConverged(true);
       }
     } catch (err) {
@@ -69,10 +136,53 @@ function App() {
     setVisibleIterations(new Set());
     setIsActive(false);
     setHasConverged(false);
+    setStopResult(null);
+    setRootsResult(null);
     setSelectedElement(null);
     setError('');
   }, []);
 
+  const handleViewChange = useCallback((xMin, xMax) => {
+    viewRangeRef.current = [xMin, xMax];
+  }, []);
+
+  // Scan [from, to] (the visible range where a bound is missing) for every real root
+  const handleFindRoots = useCallback((from, to) => {
+    const [xMin, xMax] = viewRangeRef.current;
+    const lo = from ?? xMin;
+    const hi = to ?? xMax;
+    const roots = findAllRoots(functionExpression, lo, hi);
+    setRootsResult({ expression: functionExpression, lo, hi, roots });
+  }, [functionExpression]);
+
+  // Restart the current method near a found root, from the scan start closest to it
+  const handleTraceRoot = useCallback((root) => {
+    const info = SOLVER_METHODS.find(m => m.id === method);
+    const nearest = root.starts.reduce((best, x0) => (Math.abs(x0 - root.x) < Math.abs(best - root.x) ? x0 : best));
+    const offset = Math.abs(nearest - root.x) || 0.1 * Math.max(1, Math.abs(root.x));
+    const start = nearest === root.x ? root.x + offset : nearest;
+
+    let guess = start;
+    let secondGuess;
+    if (info?.bracketing) {
+      guess = root.x - offset;
+      secondGuess = root.x + offset;
+    } else if (info?.startingPoints === 2) {
+      secondGuess = (start + root.x) / 2;
+    }
+
+    handleGraphFunction(functionExpression, latexExpression, guess, {
+      ...solverOptions,
+      method,
+      secondGuess,
+      stoppingCriteria
+    });
+  }, [method, solverOptions, stoppingCriteria, functionExpression, latexExpression, handleGraphFunction]);
+
+  const handleClearRoots = useCallback(() => {
+    setRootsResult(null);
+  }, []);
+
   // Toggle visibility of an iteration
   const handleToggleIteration = useCallback((index) => {
     setVisibleIterations(prev => {
@@ -90,6 +200,38 @@ function App() {
     setSelectedElement(element);
   }, []);
 
+  const methodInfo = SOLVER_METHODS.find(m => m.id === method);
+  const isComplexMode = !!methodInfo?.complex;
+  const isSystemMode = !!methodInfo?.system;
+
+  // Bracketing methods cannot cycle or diverge, and complex and system runs are not on the real line
+  const diagnostics = useMemo(() => {
+    if (!methodInfo || methodInfo.bracketing || methodInfo.complex || methodInfo.system) return [];
+    // Optimization is after f′ = 0, which the root-finding checks would misread
+    if (methodInfo.optimization) return [];
+    return diagnoseIterations(iterations, { tolerance: stoppingCriteria.fTolerance ?? 1e-10, method });
+  }, [iterations, methodInfo, method, stoppingCriteria]);
+
+  // The Kantorovich theorem is about plain Newton from the starting point
+  const startX = iterations[0]?.x;
+  const kantorovich = useMemo(() => {
+    if (method !== 'newton' || !functionExpression || startX === undefined) return null;
+    try {
+      return checkKantorovich(functionExpression, startX);
+    } catch {
+      return null;
+    }
+  }, [method, functionExpression, startX]);
+
+  // Polynomials get every complex root at once, independent of the iteration
+  const polynomial = useMemo(() => {
+    if (!isActive || !functionExpression || isSystemMode) return null;
+    const coefficients = getPolynomialCoefficients(functionExpression);
+    if (!coefficients) return null;
+    const findRoots = polynomialMethod === 'deflation' ? deflationRoots : aberthRoots;
+    return { coefficients, method: polynomialMethod, ...findRoots(coefficients) };
+  }, [isActive, functionExpression, isSystemMode, polynomialMethod]);
+
   return (
     <div className="min-h-screen transition-colors duration-300" style={{ background: 'var(--bg-primary)' }}>
       <div className="grid grid-cols-1 xl:grid-cols-[320px_1fr_350px] 2xl:grid-cols-[320px_1fr_350px] gap-5 p-5 min-h-screen max-w-[1800px] mx-auto max-xl:grid-cols-1 max-xl:grid-rows-[auto_1fr_auto]">
@@ -101,6 +243,8 @@ function App() {
             isActive={isActive}
             currentIteration={iterations.length - 1}
             hasConverged={hasConverged}
+            stopResult={stopResult}
+            stoppingCriteria={stoppingCriteria}
             currentInitialGuess={initialGuess}
           />
           {error && (
@@ -118,13 +262,52 @@ function App() {
         </aside>
 
         <main className="flex flex-col min-h-[600px] max-xl:order-2 max-xl:min-h-[500px]">
-          <Graph
-            functionExpression={functionExpression}
-            solver={solverRef.current}
-            iterations={iterations}
-            visibleIterations={visibleIterations}
-            onElementClick={handleElementClick}
-          />
+          {isSystemMode ? (
+            <SystemPlane
+              solver={solverRef.current}
+              iterations={iterations}
+              visibleIterations={visibleIterations}
+              onPickStart={handlePickStart}
+              onElementClick={handleElementClick}
+            />
+          ) : (
+            <Graph
+              functionExpression={functionExpression}
+              solver={solverRef.current}
+              iterations={isComplexMode ? NO_ITERATIONS : iterations}
+              visibleIterations={visibleIterations}
+              onElementClick={handleElementClick}
+              method={method}
+              solverOptions={solverOptions}
+              diagnostics={diagnostics}
+              selectedIteration={selectedElement?.index}
+              kantorovich={kantorovich}
+              roots={rootsResult?.roots}
+              onRootClick={handleTraceRoot}
+              onViewChange={handleViewChange}
+              polynomialRoots={isComplexMode ? undefined : polynomial?.roots}
+              converged={!!stopResult?.converged}
+            />
+          )}
+          {isActive && !isComplexMode && !isSystemMode && (
+            <RootsPanel
+              rootsResult={rootsResult}
+              onFindRoots={handleFindRoots}
+              onTraceRoot={handleTraceRoot}
+              onClear={handleClearRoots}
+            />
+          )}
+          <PolynomialPanel polynomial={polynomial} onMethodChange={setPolynomialMethod} />
+          <KantorovichPanel analysis={kantorovich} />
+          {isComplexMode && isActive && (
+            <ComplexPlane
+              solver={solverRef.current}
+              iterations={iterations}
+              visibleIterations={visibleIterations}
+              onPickStart={handlePickStart}
+              onElementClick={handleElementClick}
+            />
+          )}
         </main>
 
         <aside className="flex flex-col max-xl:order-3">
@@ -134,6 +317,11 @@ function App() {
             visibleIterations={visibleIterations}
             onToggleIteration={handleToggleIteration}
             latexExpression={latexExpression}
+            method={method}
+            solverOptions={solverOptions}
+            stopResult={stopResult}
+            stoppingCriteria={stoppingCriteria}
+            diagnostics={diagnostics}
           />
         </aside>
       </div>
@@ -0,0 +1,356 @@
+import { useEffect, useRef, useCallback, useState } from 'react';
+import JXG from 'jsxgraph';
+import { complex } from 'mathjs';
+import { getIterationColor, getRootHue } from '../utils/newton';
+import { formatComplex } from '../utils/complexNewton';
+
+// The fractal is rendered at a low resolution and stretched over the board
+const FRACTAL_RESOLUTION = 200;
+// Milliseconds of work per tile before yielding back to the browser
+const TILE_BUDGET_MS = 16;
+const BASIN_MAX_ITERATIONS = 40;
+const DEFAULT_BOUNDING_BOX = [-2, 2, 2, -2];
+
+function ComplexPlane({
+  solver,
+  iterations,
+  visibleIterations,
+  onPickStart,
+  onElementClick
+}) {
+  const containerRef = useRef(null);
+  const canvasRef = useRef(null);
+  const boardRef = useRef(null);
+  const orbitElementsRef = useRef([]);
+  const renderTokenRef = useRef(0);
+  const renderTimeoutRef = useRef(null);
+  const rootsRef = useRef([]);
+  const pointerDownRef = useRef(null);
+  const [renderProgress, setRenderProgress] = useState(0);
+  const [roots, setRoots] = useState([]);
+
+  // Stops any render still in progress
+  const cancelRender = useCallback(() => {
+    renderTokenRef.current++;
+    clearTimeout(renderTimeoutRef.current);
+  }, []);
+
+  // Renders the basins of attraction into the canvas, a few rows per tile
+  const renderFractal = useCallback(() => {
+    const board = boardRef.current;
+    const canvas = canvasRef.current;
+    const container = containerRef.current;
+    if (!board || !canvas || !container || !solver?.findBasinRoot) return;
+
+    cancelRender();
+    const token = renderTokenRef.current;
+
+    const [xMin, yMax, xMax, yMin] = board.getBoundingBox();
+    const rect = container.getBoundingClientRect();
+    const width = Math.max(1, Math.min(FRACTAL_RESOLUTION, Math.round(rect.width)));
+    const height = Math.max(1, Math.round(width * rect.height / Math.max(rect.width, 1)));
+
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+    const image = context.createImageData(width, height);
+    let row = 0;
+
+    setRenderProgress(0);
+
+    const renderTile = () => {
+      if (token !== renderTokenRef.current) return;
+
+      const start = performance.now();
+      const firstRow = row;
+
+      while (row < height && performance.now() - start < TILE_BUDGET_MS) {
+        const y = yMax - ((row + 0.5) / height) * (yMax - yMin);
+        for (let col = 0; col < width; col++) {
+          const x = xMin + ((col + 0.5) / width) * (xMax - xMin);
+          const result = solver.findBasinRoot(complex(x, y), {
+            maxIterations: BASIN_MAX_ITERATIONS
+          });
+          const [r, g, b] = basinColor(result, rootsRef.current);
+          const offset = (row * width + col) * 4;
+          image.data[offset] = r;
+          image.data[offset + 1] = g;
+          image.data[offset + 2] = b;
+          image.data[offset + 3] = 255;
+        }
+        row++;
+      }
+
+      context.putImageData(image, 0, 0, 0, firstRow, width, row - firstRow);
+      setRenderProgress(row / height);
+
+      if (row < height) {
+        renderTimeoutRef.current = setTimeout(renderTile, 0);
+      } else {
+        setRoots([...rootsRef.current]);
+      }
+    };
+
+    renderTile();
+  }, [solver, cancelRender]);
+
+  // Initialize the board over the canvas
+  useEffect(() => {
+    if (!containerRef.current) return;
+
+    const board = JXG.JSXGraph.initBoard(containerRef.current.id, {
+      boundingbox: DEFAULT_BOUNDING_BOX,
+      axis: true,
+      grid: false,
+      showNavigation: true,
+      showCopyright: false,
+      pan: {
+        enabled: true,
+        needTwoFingers: false,
+        needShift: false
+      },
+      zoom: {
+        wheel: true,
+        needShift: false,
+        min: 0.001,
+        max: 1000
+      },
+      keepAspectRatio: true
+    });
+
+    boardRef.current = board;
+
+    return () => {
+      cancelRender();
+      JXG.JSXGraph.freeBoard(board);
+      boardRef.current = null;
+    };
+  }, [cancelRender]);
+
+  // Re-render the fractal for a new function, and after panning or zooming settles
+  useEffect(() => {
+    const board = boardRef.current;
+    if (!board || !solver) return;
+
+    rootsRef.current = [];
+    setRoots([]);
+    renderFractal();
+
+    let debounce = null;
+    const handleBoundingBox = () => {
+      clearTimeout(debounce);
+      debounce = setTimeout(renderFractal, 150);
+    };
+    board.on('boundingbox', handleBoundingBox);
+
+    return () => {
+      clearTimeout(debounce);
+      board.off('boundingbox', handleBoundingBox);
+    };
+  }, [solver, renderFractal]);
+
+  // A click without dragging picks the starting point z0
+  useEffect(() => {
+    const board = boardRef.current;
+    if (!board) return;
+
+    const handleDown = (e) => {
+      pointerDownRef.current = e.clientX !== undefined
+        ? { x: e.clientX, y: e.clientY, coords: board.getUsrCoordsOfMouse(e) }
+        : null;
+    };
+
+    const handleUp = (e) => {
+      const down = pointerDownRef.current;
+      pointerDownRef.current = null;
+      if (!down || e.clientX === undefined || !onPickStart) return;
+
+      const moved = Math.hypot(e.clientX - down.x, e.clientY - down.y);
+      if (moved < 4) {
+        const [x, y] = down.coords;
+        onPickStart(complex(x, y));
+      }
+    };
+
+    board.on('down', handleDown);
+    board.on('up', handleUp);
+
+    return () => {
+      board.off('down', handleDown);
+      board.off('up', handleUp);
+    };
+  }, [onPickStart]);
+
+  // Draw the orbit z0, z1, ... on top of the fractal
+  useEffect(() => {
+    const board = boardRef.current;
+    if (!board) return;
+
+    orbitElementsRef.current.forEach(element => {
+      if (element && board.objects[element.id]) {
+        board.removeObject(element);
+      }
+    });
+    orbitElementsRef.current = [];
+
+    if (!iterations || iterations.length === 0) return;
+
+    const initialFx = iterations[0]?.fx ?? 1;
+    const newElements = [];
+
+    iterations.forEach((iter, idx) => {
+      const isVisible = visibleIterations?.has(idx) ?? true;
+      if (!isVisible || !iter.z) return;
+
+      const color = getIterationColor(iter.fx, initialFx);
+
+      if (iter.prevZ) {
+        const step = board.create('arrow', [
+          [iter.prevZ.re, iter.prevZ.im],
+          [iter.x, iter.y]
+        ], {
+          strokeColor: '#ffffff',
+          strokeWidth: 2,
+          highlight: false,
+          fixed: true
+        });
+        newElements.push(step);
+      }
+
+      const point = board.create('point', [iter.x, iter.y], {
+        name: `z${idx}`,
+        size: idx === 0 ? 6 : 4,
+        fillColor: idx === 0 ? '#ef4444' : color,
+        strokeColor: '#000000',
+        strokeWidth: 1,
+        withLabel: true,
+        fixed: true,
+        label: {
+          offset: [8, 10],
+          fontSize: 13,
+          fontWeight: 'bold',
+          color: '#000000',
+          useMathJax: false,
+          cssStyle: 'background: rgba(255,255,255,0.85); padding: 1px 4px; border-radius: 3px; border: 1px solid ' + color
+        }
+      });
+      newElements.push(point);
+
+      point.on('down', () => {
+        if (onElementClick) {
+          onElementClick({
+            type: 'complexPoint',
+            name: `Iteration ${idx}`,
+            z: iter.z,
+            fz: iter.fz,
+            fPrimeZ: iter.fPrimeZ
+          });
+        }
+      });
+    });
+
+    orbitElementsRef.current = newElements;
+  }, [iterations, visibleIterations, onElementClick]);
+
+  const resetView = useCallback(() => {
+    if (boardRef.current) {
+      boardRef.current.setBoundingBox(DEFAULT_BOUNDING_BOX, true);
+    }
+  }, []);
+
+  const isRendering = renderProgress < 1;
+
+  return (
+    <div className="relative w-full flex flex-col mt-4">
+      <div className="flex justify-between items-center pb-2">
+        <h3 className="m-0 text-sm font-semibold" style={{ color: 'var(--text-secondary)' }}>
+          Complex plane: basins of attraction
+        </h3>
+        <span className="text-xs" style={{ color: 'var(--text-muted)' }}>
+          {isRendering
+            ? `Rendering… ${Math.round(renderProgress * 100)}%`
+            : 'Click to choose z₀'}
+        </span>
+      </div>
+      <div className="relative w-full">
+        <canvas
+          ref={canvasRef}
+          className="absolute inset-0 w-full h-full rounded-lg"
+          style={{ imageRendering: 'pixelated' }}
+        />
+        <div
+          id="complex-plane-board"
+          ref={containerRef}
+          className="graph-board w-full rounded-lg"
+          style={{
+            border: '1px solid var(--border-primary)',
+            background: 'transparent',
+            aspectRatio: '1 / 1',
+            maxHeight: 'calc(100vh - 120px)',
+            minHeight: '400px'
+          }}
+        />
+      </div>
+      <div className="flex gap-2 py-2 justify-between items-start">
+        <div className="flex flex-wrap gap-2">
+          {roots.map((root, idx) => (
+            <span
+              key={idx}
+              className="flex items-center gap-1.5 text-xs font-mono"
+              style={{ color: 'var(--text-tertiary)' }}
+            >
+              <span
+                className="inline-block w-3 h-3 rounded-sm"
+                style={{ background: `hsl(${getRootHue(idx)}, 75%, 50%)` }}
+              />
+              {formatComplex(root, 3)}
+            </span>
+          ))}
+        </div>
+        <button
+          onClick={resetView}
+          className="px-3 py-1.5 text-[13px] rounded cursor-pointer transition-all duration-150 hover:border-slate-400"
+          style={{
+            background: 'var(--bg-tertiary)',
+            border: '1px solid var(--border-secondary)',
+            color: 'var(--text-secondary)'
+          }}
+          title="Reset View"
+        >
+          Reset View
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Colors a starting point by the root it reaches; faster convergence is brighter
+function basinColor(result, roots) {
+  if (!result.converged) return [24, 24, 27];
+
+  let index = roots.findIndex(r => r.sub(result.root).abs() < 1e-3 * Math.max(1, r.abs()));
+  if (index === -1) {
+    roots.push(result.root);
+    index = roots.length - 1;
+  }
+
+  const speed = 1 - Math.min(result.iterations, BASIN_MAX_ITERATIONS) / BASIN_MAX_ITERATIONS;
+  return hslToRgb(getRootHue(index), 0.75, 0.2 + 0.45 * speed);
+}
+
+function hslToRgb(h, s, l) {
+  const c = (1 - Math.abs(2 * l - 1)) * s;
+  const hp = h / 60;
+  const x = c * (1 - Math.abs((hp % 2) - 1));
+  let rgb = [0, 0, 0];
+  if (hp < 1) rgb = [c, x, 0];
+  else if (hp < 2) rgb = [x, c, 0];
+  else if (hp < 3) rgb = [0, c, x];
+  else if (hp < 4) rgb = [0, x, c];
+  else if (hp < 5) rgb = [x, 0, c];
+  else rgb = [c, 0, x];
+  const m = l - c / 2;
+  return rgb.map(v => Math.round((v + m) * 255));
+}
+
+export default ComplexPlane;
@@ -1,9 +1,153 @@
 import { useState, useEffect, useRef, useCallback } from "react";
 import { validateExpression } from "../utils/mathParser";
+import {
+  SOLVER_METHODS,
+  DEFAULT_STOPPING_CRITERIA,
+  describeStoppingCriterion,
+} from "../utils/newton";
+import { complex, format } from "mathjs";
 import "mathlive";
 import katex from "katex";
 import "katex/dist/katex.min.css";
 
+// Explanations for the methods other than Newton's, whose explanation is
+// written out step by step in the panel below
+const METHOD_EXPLANATIONS = {
+  secant: {
+    title: "How the Secant Method Works",
+    summary:
+      "The secant method replaces the tangent line with the line through the two most recent guesses, so it never needs the derivative. It starts from two points and converges superlinearly.",
+    formula:
+      "x_{n+1} = x_n - f(x_n)\\frac{x_n - x_{n-1}}{f(x_n) - f(x_{n-1})}",
+  },
+  bisection: {
+    title: "How Bisection Works",
+    summary:
+      "Bisection starts from an interval [a, b] where f changes sign. Each step evaluates the midpoint and keeps the half that still contains the sign change, so the bracket width halves every iteration. It is slow but cannot fail.",
+    formula: "m_n = \\frac{a_n + b_n}{2}",
+  },
+  hybrid: {
+    title: "How the Newton–Bisection Hybrid Works",
+    summary:
+      "The hybrid keeps a bracket [a, b] with a sign change, like bisection. At each step it tries the Newton step, and takes it only when it lands inside the bracket and at most halves the previous step. Otherwise it bisects. It converges as fast as Newton near the root and can never run away from the bracket.",
+    formula:
+      "x_{n+1} = \\begin{cases} x_n - \\frac{f(x_n)}{f'(x_n)} & \\text{if inside and shrinking} \\\\ \\frac{a_n + b_n}{2} & \\text{otherwise} \\end{cases}",
+  },
+  halley: {
+    title: "How Halley's Method Works",
+    summary:
+      "Halley's method also uses the second derivative. Instead of the tangent line it fits the osculating hyperbola that matches f, f' and f'' at the current guess, and jumps to where that hyperbola crosses the x-axis. Near a simple root the number of correct digits roughly triples each step (cubic convergence).",
+    formula:
+      "x_{n+1} = x_n - \\frac{2 f(x_n) f'(x_n)}{2 f'(x_n)^2 - f(x_n) f''(x_n)}",
+  },
+  householder: {
+    title: "How Householder's Method Works",
+    summary:
+      "Householder's third-order method also uses the third derivative and steps to the zero of a rational curve that matches f up to f'''. Near a simple root the number of correct digits roughly quadruples each step.",
+    formula:
+      "x_{n+1} = x_n - \\frac{6 f f'^2 - 3 f^2 f''}{6 f'^3 - 6 f f' f'' + f^2 f'''}",
+  },
+  modified: {
+    title: "How Modified Newton Works",
+    summary:
+      "At a root of multiplicity m > 1, such as (x-1)^3, f' vanishes too and plain Newton only shrinks the error by (m-1)/m per step. This mode estimates m from f/f' at each iterate, rounds it to a whole number, and stretches the Newton step by m, which restores quadratic convergence.",
+    formula:
+      "x_{n+1} = x_n - m\\frac{f(x_n)}{f'(x_n)}, \\quad m \\approx \\frac{f'^2}{f'^2 - f f''}",
+  },
+  "newton-ratio": {
+    title: "How Newton on f/f' Works",
+    summary:
+      "The ratio u = f/f' has only simple roots, even where f has a multiple root. Running Newton on u converges quadratically without knowing the multiplicity. It is the same as stretching the Newton step by the unrounded multiplicity estimate.",
+    formula:
+      "x_{n+1} = x_n - \\frac{u(x_n)}{u'(x_n)} = x_n - \\frac{f f'}{f'^2 - f f''}",
+  },
+  steffensen: {
+    title: "How Steffensen's Method Works",
+    summary:
+      "Steffensen's method estimates the slope from the auxiliary point x + f(x) instead of differentiating, then takes a Newton-like step. It converges quadratically like Newton without needing f' at all, which helps when f has no usable symbolic derivative.",
+    formula:
+      "x_{n+1} = x_n - \\frac{f(x_n)}{g(x_n)}, \\quad g(x) = \\frac{f(x + f(x)) - f(x)}{f(x)}",
+  },
+  complex: {
+    title: "Newton's Method in the Complex Plane",
+    summary:
+      "The same Newton step works for complex z. The picture below colors every starting point by the root it converges to, with brighter shades for faster convergence. For z^3 - 1 the three basins meet in a fractal boundary, where a tiny change in z₀ sends the iteration to a different root. Click the picture to pick z₀.",
+    formula: "z_{n+1} = z_n - \\frac{f(z_n)}{f'(z_n)}",
+  },
+  interval: {
+    title: "How Interval Newton Works",
+    summary:
+      "Interval Newton works with boxes X instead of points. Interval arithmetic bounds the derivative over the whole box by F'(X), and every root in X must also lie in N(X). If N(X) misses X there is no root in X; if N(X) lands strictly inside X there is exactly one. Bounds are rounded outward, so these are proofs, not floating-point guesses.",
+    formula: "N(X) = \\left(m - \\frac{f(m)}{F'(X)}\\right) \\cap X",
+  },
+  optimize: {
+    title: "Newton's Method for Optimization",
+    summary:
+      "To find a minimum or maximum, Newton's method looks for a zero of f'. At each iterate it fits the parabola with the same value, slope and curvature as f and jumps to its vertex. The sign of f'' then tells a minimum (f'' > 0) from a maximum (f'' < 0). Here the |f(xₙ)| tolerance is applied to |f'(xₙ)|.",
+    formula:
+      "x_{n+1} = x_n - \\frac{f'(x_n)}{f''(x_n)}, \\quad q(t) = f(x_n) + f'(x_n)(t - x_n) + \\tfrac{1}{2}f''(x_n)(t - x_n)^2",
+  },
+  system: {
+    title: "Newton's Method for 2×2 Systems",
+    summary:
+      "For two equations f₁(x, y) = 0 and f₂(x, y) = 0, each function is replaced by its tangent plane at the current point. Each plane meets height zero in a straight line, and the next iterate is where the two lines cross. The Jacobian J holds the four partial derivatives; where det J = 0 the lines are parallel and the step fails. Click the plane to pick the starting point.",
+    formula:
+      "\\begin{pmatrix} x_{n+1} \\\\ y_{n+1} \\end{pmatrix} = \\begin{pmatrix} x_n \\\\ y_n \\end{pmatrix} - J(x_n, y_n)^{-1} \\begin{pmatrix} f_1(x_n, y_n) \\\\ f_2(x_n, y_n) \\end{pmatrix}",
+  },
+};
+
+// Stopping criteria that can be switched on, in the order they are listed
+const STOPPING_FIELDS = [
+  { key: "fTolerance", label: "|f(xₙ)| <", integer: false },
+  { key: "stepTolerance", label: "|xₙ − xₙ₋₁| <", integer: false },
+  { key: "relativeStepTolerance", label: "|xₙ − xₙ₋₁| / |xₙ| <", integer: false },
+  { key: "maxIterations", label: "Max iterations", integer: true },
+];
+
+// The |f| tolerance is compared in float64, so a scaled default stops short of underflow
+const MAX_SCALED_TOLERANCE_EXPONENT = 300;
+
+// Default |f(xₙ)| tolerance: 1e-10, or two digits short of the working precision with BigNumbers
+function getDefaultFTolerance(precisionDigits) {
+  const digits = Number(precisionDigits);
+  if (precisionDigits === null || !Number.isInteger(digits) || digits < 17) {
+    return String(DEFAULT_STOPPING_CRITERIA.fTolerance);
+  }
+  return `1e-${Math.min(digits - 2, MAX_SCALED_TOLERANCE_EXPONENT)}`;
+}
+
+const INITIAL_STOPPING_FIELDS = {
+  fTolerance: { enabled: true, value: String(DEFAULT_STOPPING_CRITERIA.fTolerance) },
+  stepTolerance: { enabled: false, value: "1e-10" },
+  relativeStepTolerance: { enabled: false, value: "1e-12" },
+  maxIterations: { enabled: false, value: "50" },
+};
+
+// Turn the stopping-criteria inputs into the criteria object used by the solver
+function parseStoppingCriteria(fields, combine) {
+  const criteria = { combine };
+  for (const field of STOPPING_FIELDS) {
+    const { enabled, value } = fields[field.key];
+    if (!enabled) {
+      criteria[field.key] = null;
+      continue;
+    }
+    const number = Number(value);
+    if (!isFinite(number) || number <= 0 || (field.integer && !Number.isInteger(number))) {
+      return {
+        error: field.integer
+          ? "Max iterations must be a positive whole number"
+          : `Tolerance for ${field.label.replace(" <", "")} must be a positive number`,
+      };
+    }
+    criteria[field.key] = number;
+  }
+  if (STOPPING_FIELDS.every((field) => criteria[field.key] === null)) {
+    return { error: "Turn on at least one stopping criterion" };
+  }
+  return { criteria };
+}
+
 // Theme management
 function getInitialTheme() {
   const stored = localStorage.getItem("theme");
@@ -31,6 +175,84 @@ function findMatchingBrace(str, startIndex) {
   return -1;
 }
 
+// Removes MathLive's highlight backgrounds inside a math-field's shadow DOM
+function injectMathFieldStyles(mf, isDark) {
+  const shadowRoot = mf?.shadowRoot;
+  if (!shadowRoot) return;
+
+  // Remove any previously injected style
+  const existingStyle = shadowRoot.querySelector("#custom-ml-style");
+  if (existingStyle) existingStyle.remove();
+
+  const style = document.createElement("style");
+  style.id = "custom-ml-style";
+  style.textContent = `
+    * {
+      background: transparent !important;
+      background-color: transparent !important;
+    }
+    .ML__caret {
+      background: ${isDark ? "#f1f5f9" : "#000"} !important;
+      background-color: ${isDark ? "#f1f5f9" : "#000"} !important;
+    }
+    .ML__selection {
+      background: rgba(37, 99, 235, 0.15) !important;
+    }
+    [class*="highlight"],
+    [class*="matching"],
+    [class*="focused"],
+    .ML__contains-caret,
+    .ML__sqrt,
+    .ML__frac,
+    .ML__surd {
+      background: transparent !important;
+      background-color: transparent !important;
+    }
+  `;
+  shadowRoot.appendChild(style);
+}
+
+// Configures a math-field and reports every edit as LaTeX
+function setupMathField(mf, initialLatex, onLatexChange) {
+  mf.value = initialLatex;
+
+  // Configure MathLive options
+  mf.mathModeSpace = "\\:";
+  mf.smartFence = false; // Disable smart fence to reduce highlighting
+  mf.removeExtraneousParentheses = false;
+  mf.smartMode = false;
+
+  // Disable menu and virtual keyboard
+  mf.menuItems = [];
+  mf.virtualKeyboardMode = "off";
+
+  // Inject CSS into shadow DOM to remove all highlighting, immediately and
+  // also after a short delay
+  const injectStyles = () =>
+    injectMathFieldStyles(
+      mf,
+      document.documentElement.getAttribute("data-theme") === "dark",
+    );
+  injectStyles();
+  setTimeout(injectStyles, 100);
+
+  // Add inline shortcuts for common functions
+  mf.inlineShortcuts = {
+    ...mf.inlineShortcuts,
+    sqrt: "\\sqrt{#?}",
+    pi: "\\pi",
+    sin: "\\sin",
+    cos: "\\cos",
+    tan: "\\tan",
+    log: "\\log",
+    ln: "\\ln",
+    exp: "\\exp",
+  };
+
+  // Listen for input changes
+  mf.addEventListener("input", (evt) => onLatexChange(evt.target.value));
+}
+
 // Convert MathLive LaTeX to math.js compatible format
 function latexToMathJS(latex) {
   let expr = latex;
@@ -151,6 +373,11 @@ function latexToMathJS(latex) {
   // Clean up whitespace
   expr = expr.replace(/\s+/g, "");
 
+  // Products of the variables are typed without an operator, e.g. xy
+  expr = expr.replace(/(?<![a-zA-Z])[xy]{2,}(?![a-zA-Z(])/g, (match) =>
+    match.split("").join("*"),
+  );
+
   // Clean up empty parentheses that might result from removed commands
   expr = expr.replace(/\(\)/g, "");
 
@@ -164,168 +391,145 @@ function Controls({
   isActive,
   currentIteration,
   hasConverged,
+  stopResult,
+  stoppingCriteria,
   currentInitialGuess,
 }) {
   const [expression, setExpression] = useState("x^2 - 2");
   const [latexExpression, setLatexExpression] = useState("x^2-2");
+  const [secondExpression, setSecondExpression] = useState("x*y-1");
+  const [secondLatexExpression, setSecondLatexExpression] = useState("xy-1");
   const [initialGuess, setInitialGuess] = useState("3");
+  const [secondGuess, setSecondGuess] = useState("2");
+  const [method, setMethod] = useState("newton");
+  const [damping, setDamping] = useState(false);
+  const [precisionMode, setPrecisionMode] = useState("float64");
+  const [precisionDigits, setPrecisionDigits] = useState("60");
+  const [stoppingFields, setStoppingFields] = useState(INITIAL_STOPPING_FIELDS);
+  const [stoppingCombine, setStoppingCombine] = useState("or");
   const [error, setError] = useState("");
   const [theme, setTheme] = useState(getInitialTheme);
   const mathFieldRef = useRef(null);
+  const secondMathFieldRef = useRef(null);
   const explanationRef = useRef(null);
   const x0Ref = useRef(null);
+  const x1Ref = useRef(null);
+  const allowComplexRef = useRef(false);
+  const variablesRef = useRef(["x"]);
+
+  const methodInfo = SOLVER_METHODS.find((m) => m.id === method);
+  const needsSecondGuess = methodInfo?.startingPoints === 2;
+  const isBracketing = !!methodInfo?.bracketing;
+  const isComplexMode = !!methodInfo?.complex;
+  const isSystemMode = !!methodInfo?.system;
+  const explanation = METHOD_EXPLANATIONS[method];
+  const isStopped = hasConverged || !!stopResult?.stop;
+  const usesBigNumbers = method === "newton" && precisionMode === "big";
+  const usesFractions = method === "newton" && precisionMode === "exact";
+  allowComplexRef.current = isComplexMode;
+  variablesRef.current = isSystemMode ? ["x", "y"] : ["x"];
+  const defaultFTolerance = getDefaultFTolerance(usesBigNumbers ? precisionDigits : null);
+  const defaultFToleranceRef = useRef(defaultFTolerance);
+
+  // Keep the |f| tolerance in step with the precision, unless it was edited by hand
+  useEffect(() => {
+    const previousDefault = defaultFToleranceRef.current;
+    defaultFToleranceRef.current = defaultFTolerance;
+    setStoppingFields((fields) =>
+      fields.fTolerance.value === previousDefault
+        ? { ...fields, fTolerance: { ...fields.fTolerance, value: defaultFTolerance } }
+        : fields,
+    );
+  }, [defaultFTolerance]);
 
   // Apply theme on mount and when it changes
   useEffect(() => {
     applyTheme(theme);
 
     // Re-inject MathLive styles when theme changes
-    const mf = mathFieldRef.current;
-    if (mf && mf.shadowRoot) {
-      const existingStyle = mf.shadowRoot.querySelector("#custom-ml-style");
-      if (existingStyle) existingStyle.remove();
-
-      const style = document.createElement("style");
-      style.id = "custom-ml-style";
-      const isDark = theme === "dark";
-      style.textContent = `
-        * {
-          background: transparent !important;
-          background-color: transparent !important;
-        }
-        .ML__caret {
-          background: ${isDark ? "#f1f5f9" : "#000"} !important;
-          background-color: ${isDark ? "#f1f5f9" : "#000"} !important;
-        }
-        .ML__selection {
-          background: rgba(37, 99, 235, 0.15) !important;
-        }
-        [class*="highlight"],
-        [class*="matching"],
-        [class*="focused"],
-        .ML__contains-caret,
-        .ML__sqrt,
-        .ML__frac,
-        .ML__surd {
-          background: transparent !important;
-          background-color: transparent !important;
-        }
-      `;
-      mf.shadowRoot.appendChild(style);
-    }
+    injectMathFieldStyles(mathFieldRef.current, theme === "dark");
+    injectMathFieldStyles(secondMathFieldRef.current, theme === "dark");
   }, [theme]);
 
+  const updateStoppingField = useCallback((key, changes) => {
+    setStoppingFields((prev) => ({
+      ...prev,
+      [key]: { ...prev[key], ...changes },
+    }));
+  }, []);
+
   const toggleTheme = useCallback(() => {
     setTheme((prev) => (prev === "light" ? "dark" : "light"));
   }, []);
 
-  // Initialize MathLive field
-  useEffect(() => {
-    const mf = mathFieldRef.current;
-    if (mf) {
-      mf.value = "x^2-2";
-
-      // Configure MathLive options
-      mf.mathModeSpace = "\\:";
-      mf.smartFence = false; // Disable smart fence to reduce highlighting
-      mf.removeExtraneousParentheses = false;
-      mf.smartMode = false;
-
-      // Disable menu and virtual keyboard
-      mf.menuItems = [];
-      mf.virtualKeyboardMode = "off";
-
-      // Inject CSS into shadow DOM to remove all highlighting
-      const injectStyles = () => {
-        const shadowRoot = mf.shadowRoot;
-        if (shadowRoot) {
-          // Remove any previously injected style
-          const existingStyle = shadowRoot.querySelector("#custom-ml-style");
-          if (existingStyle) existingStyle.remove();
-
-          const style = document.createElement("style");
-          style.id = "custom-ml-style";
-          const isDark =
-            document.documentElement.getAttribute("data-theme") === "dark";
-          style.textContent = `
-            * {
-              background: transparent !important;
-              background-color: transparent !important;
-            }
-            .ML__caret {
-              background: ${isDark ? "#f1f5f9" : "#000"} !important;
-              background-color: ${isDark ? "#f1f5f9" : "#000"} !important;
-            }
-            .ML__selection {
-              background: rgba(37, 99, 235, 0.15) !important;
-            }
-            [class*="highlight"],
-            [class*="matching"],
-            [class*="focused"],
-            .ML__contains-caret,
-            .ML__sqrt,
-            .ML__frac,
-            .ML__surd {
-              background: transparent !important;
-              background-color: transparent !important;
-            }
-          `;
-          shadowRoot.appendChild(style);
-        }
-      };
+  // Converts an edited field to math.js and validates it
+  const handleLatexChange = useCallback((latex, setLatex, setMathJs) => {
+    setLatex(latex);
+    try {
+      const mathJsExpr = latexToMathJS(latex);
+      setMathJs(mathJsExpr);
 
-      // Try to inject immediately and also after a short delay
-      injectStyles();
-      setTimeout(injectStyles, 100);
-
-      // Add inline shortcuts for common functions
-      mf.inlineShortcuts = {
-        ...mf.inlineShortcuts,
-        sqrt: "\\sqrt{#?}",
-        pi: "\\pi",
-        sin: "\\sin",
-        cos: "\\cos",
-        tan: "\\tan",
-        log: "\\log",
-        ln: "\\ln",
-        exp: "\\exp",
-      };
-
-      // Listen for input changes
-      mf.addEventListener("input", (evt) => {
-        const latex = evt.target.value;
-        setLatexExpression(latex);
-        try {
-          const mathJsExpr = latexToMathJS(latex);
-          setExpression(mathJsExpr);
-
-          // Validate the converted expression
-          if (mathJsExpr.trim()) {
-            const validation = validateExpression(mathJsExpr);
-            if (!validation.valid) {
-              setError(validation.error);
-            } else {
-              setError(""); // Clear any previous error
-            }
-          } else {
-            setError(""); // Empty expression is ok (will be caught on submit)
-          }
-        } catch (err) {
-          // Don't update expression if conversion fails
-          setError(err.message);
+      // Validate the converted expression
+      if (mathJsExpr.trim()) {
+        const validation = validateExpression(mathJsExpr, {
+          allowComplex: allowComplexRef.current,
+          variables: variablesRef.current,
+        });
+        if (!validation.valid) {
+          setError(validation.error);
+        } else {
+          setError(""); // Clear any previous error
         }
-      });
+      } else {
+        setError(""); // Empty expression is ok (will be caught on submit)
+      }
+    } catch (err) {
+      // Don't update expression if conversion fails
+      setError(err.message);
     }
   }, []);
 
-  // Render KaTeX for the explanation and x0 label
+  // Initialize MathLive fields
+  useEffect(() => {
+    if (mathFieldRef.current) {
+      setupMathField(mathFieldRef.current, "x^2-2", (latex) =>
+        handleLatexChange(latex, setLatexExpression, setExpression),
+      );
+    }
+    if (secondMathFieldRef.current) {
+      setupMathField(secondMathFieldRef.current, "xy-1", (latex) =>
+        handleLatexChange(
+          latex,
+          setSecondLatexExpression,
+          setSecondExpression,
+        ),
+      );
+    }
+  }, [handleLatexChange]);
+
+  // Render KaTeX for the explanation and starting point labels
   useEffect(() => {
     // Render x0 in the label
     if (x0Ref.current) {
+      let startLatex = "x_0";
+      if (isBracketing) startLatex = "a";
+      else if (isComplexMode) startLatex = "z_0";
+      else if (isSystemMode) startLatex = "x_0, y_0";
       try {
-        katex.render("x_0", x0Ref.current, { throwOnError: false });
+        katex.render(startLatex, x0Ref.current, {
+          throwOnError: false,
+        });
       } catch (e) {
-        x0Ref.current.textContent = "x₀";
+        x0Ref.current.textContent = startLatex;
+      }
+    }
+    if (x1Ref.current) {
+      try {
+        katex.render(isBracketing ? "b" : "x_1", x1Ref.current, {
+          throwOnError: false,
+        });
+      } catch {
+        x1Ref.current.textContent = isBracketing ? "b" : "x₁";
       }
     }
 
@@ -347,12 +551,19 @@ function Controls({
         }
       });
     }
-  }, []);
+  }, [method, isBracketing, isComplexMode, isSystemMode, damping]);
 
   // Sync input field when initial guess changes from dragging
   useEffect(() => {
     if (currentInitialGuess !== undefined && isActive) {
-      setInitialGuess(currentInitialGuess.toFixed(4));
+      // Complex and system starting points are picked on their planes
+      if (typeof currentInitialGuess === "number") {
+        setInitialGuess(currentInitialGuess.toFixed(4));
+      } else if (Array.isArray(currentInitialGuess)) {
+        setInitialGuess(currentInitialGuess.map((v) => v.toFixed(4)).join(", "));
+      } else {
+        setInitialGuess(format(currentInitialGuess, { precision: 4 }));
+      }
     }
   }, [currentInitialGuess, isActive]);
 
@@ -361,22 +572,139 @@ function Controls({
     if (error) return;
 
     // Validate expression
-    const validation = validateExpression(expression);
+    const variables = isSystemMode ? ["x", "y"] : ["x"];
+    const validation = validateExpression(expression, {
+      allowComplex: isComplexMode,
+      variables,
+    });
     if (!validation.valid) {
-      setError(validation.error);
+      setError(isSystemMode ? `f₁: ${validation.error}` : validation.error);
+      return;
+    }
+    if (isSystemMode) {
+      const secondValidation = validateExpression(secondExpression, {
+        variables,
+      });
+      if (!secondValidation.valid) {
+        setError(`f₂: ${secondValidation.error}`);
+        return;
+      }
+    }
+
+    const { criteria: stoppingCriteria, error: stoppingError } =
+      parseStoppingCriteria(stoppingFields, stoppingCombine);
+    if (stoppingError) {
+      setError(stoppingError);
+      return;
+    }
+
+    // Complex mode takes z0 as a complex number like 0.5+0.5i
+    if (isComplexMode) {
+      let z0;
+      try {
+        z0 = complex(initialGuess.replace(/\s+/g, ""));
+      } catch {
+        z0 = null;
+      }
+      if (!z0 || isNaN(z0.re) || isNaN(z0.im)) {
+        setError("Initial guess must be a complex number like 0.5+0.5i");
+        return;
+      }
+      onGraphFunction(expression, latexExpression, z0, {
+        method,
+        stoppingCriteria,
+      });
+      return;
+    }
+
+    // System mode takes the starting point as "x0, y0"
+    if (isSystemMode) {
+      const point = initialGuess.split(",").map((part) => parseFloat(part));
+      if (point.length !== 2 || point.some((v) => isNaN(v))) {
+        setError("Initial guess must be a point like 1.5, 0.5");
+        return;
+      }
+      onGraphFunction(
+        [expression, secondExpression],
+        [latexExpression, secondLatexExpression],
+        point,
+        {
+          method,
+          stoppingCriteria,
+        },
+      );
       return;
     }
 
+    // Validate the number of digits for arbitrary precision
+    let precision = null;
+    if (usesBigNumbers) {
+      precision = Number(precisionDigits);
+      if (!Number.isInteger(precision) || precision < 17 || precision > 1000) {
+        setError("Precision must be a whole number of digits from 17 to 1000");
+        return;
+      }
+    }
+
     // Validate initial guess
     const guess = parseFloat(initialGuess);
     if (isNaN(guess)) {
-      setError("Initial guess must be a valid number");
+      setError(
+        isBracketing
+          ? "Interval start must be a valid number"
+          : "Initial guess must be a valid number",
+      );
       return;
     }
 
-    onGraphFunction(expression, latexExpression, guess);
+    // Validate second starting point for two-point methods
+    let second;
+    if (needsSecondGuess) {
+      second = parseFloat(secondGuess);
+      if (isNaN(second)) {
+        setError(
+          isBracketing
+            ? "Interval end must be a valid number"
+            : "Second starting point must be a valid number",
+        );
+        return;
+      }
+      if (second === guess) {
+        setError(
+          isBracketing
+            ? "The interval endpoints must be different"
+            : "The two starting points must be different",
+        );
+        return;
+      }
+    }
+
+    onGraphFunction(expression, latexExpression, guess, {
+      method,
+      secondGuess: second,
+      damping: method === "newton" && damping && !usesBigNumbers && !usesFractions,
+      precision,
+      exact: usesFractions,
+      stoppingCriteria,
+    });
   };
 
+  let startKey = "x0";
+  let startLabel = "x₀";
+  let startPlaceholder = "e.g., 3";
+  if (isBracketing) {
+    startKey = "a";
+    startLabel = "a";
+  } else if (isComplexMode) {
+    startKey = "z0";
+    startLabel = "z₀";
+    startPlaceholder = "e.g., 0.5+0.5i";
+  } else if (isSystemMode) {
+    startKey = "x0y0";
+    startLabel = "x₀, y₀";
+    startPlaceholder = "e.g., 1.5, 0.5";
+  }
+
   const handleKeyDown = (e) => {
     if (e.key === "Enter") {
       handleGraphFunction();
@@ -418,7 +746,7 @@ function Controls({
           className="flex flex-col gap-1.5 text-sm font-medium"
           style={{ color: "var(--text-secondary)" }}
         >
-          Function f(x):
+          {isSystemMode ? "Function f₁(x, y):" : "Function f(x):"}
         </label>
         <math-field
           ref={mathFieldRef}
@@ -434,15 +762,133 @@ function Controls({
         </p>
       </div>
 
+      {/* Always mounted so MathLive is set up once; shown for systems */}
+      <div className={isSystemMode ? "flex flex-col gap-1" : "hidden"}>
+        <label
+          className="flex flex-col gap-1.5 text-sm font-medium"
+          style={{ color: "var(--text-secondary)" }}
+        >
+          Function f₂(x, y):
+        </label>
+        <math-field
+          ref={secondMathFieldRef}
+          class="math-input"
+          virtual-keyboard-mode="off"
+          smart-superscript="on"
+          inline-shortcut-timeout="0"
+          menu-toggle="false"
+          default-mode="math"
+        />
+        <p className="m-0 text-xs" style={{ color: "var(--text-muted)" }}>
+          The system is f₁(x, y) = 0 and f₂(x, y) = 0
+        </p>
+      </div>
+
+      <div className="flex flex-col gap-1">
+        <label
+          className="flex flex-col gap-1.5 text-sm font-medium"
+          style={{ color: "var(--text-secondary)" }}
+        >
+          Method:
+          <select
+            value={method}
+            onChange={(e) => setMethod(e.target.value)}
+            className="px-3 py-2.5 text-[15px] rounded-md transition-all duration-150 focus:outline-none"
+            style={{
+              border: "1px solid var(--border-secondary)",
+              background: "var(--bg-tertiary)",
+              color: "var(--text-primary)",
+            }}
+          >
+            {SOLVER_METHODS.map((m) => (
+              <option key={m.id} value={m.id}>
+                {m.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        {method === "newton" && (
+          <label
+            className="flex items-center gap-2 text-[13px] cursor-pointer"
+            style={{ color: "var(--text-tertiary)" }}
+          >
+            <input
+              type="checkbox"
+              checked={damping && !usesBigNumbers && !usesFractions}
+              disabled={usesBigNumbers || usesFractions}
+              onChange={(e) => setDamping(e.target.checked)}
+            />
+            Damping (backtracking line search)
+          </label>
+        )}
+        {method === "newton" && (
+          <div
+            className="flex items-center gap-2 text-[13px]"
+            style={{ color: "var(--text-tertiary)" }}
+          >
+            <label className="flex items-center gap-2">
+              Precision:
+              <select
+                value={precisionMode}
+                onChange={(e) => setPrecisionMode(e.target.value)}
+                className="px-2 py-1 text-[13px] rounded focus:outline-none"
+                style={{
+                  border: "1px solid var(--border-secondary)",
+                  background: "var(--bg-tertiary)",
+                  color: "var(--text-primary)",
+                }}
+              >
+                <option value="float64">float64 (about 16 digits)</option>
+                <option value="big">BigNumber</option>
+                <option value="exact">Exact fractions</option>
+              </select>
+            </label>
+            {usesBigNumbers && (
+              <label className="flex items-center gap-1.5">
+                <input
+                  type="text"
+                  value={precisionDigits}
+                  onChange={(e) => setPrecisionDigits(e.target.value)}
+                  onKeyDown={handleKeyDown}
+                  className="w-14 px-2 py-1 text-[13px] font-mono rounded focus:outline-none"
+                  style={{
+                    border: "1px solid var(--border-secondary)",
+                    background: "var(--bg-tertiary)",
+                    color: "var(--text-primary)",
+                  }}
+                />
+                digits
+              </label>
+            )}
+          </div>
+        )}
+        {usesBigNumbers && (
+          <p className="m-0 text-xs" style={{ color: "var(--text-muted)" }}>
+            The |f(xₙ)| tolerance under Stopping Criteria follows the
+            precision ({defaultFTolerance} here) until you edit it.
+          </p>
+        )}
+        {usesFractions && (
+          <p className="m-0 text-xs" style={{ color: "var(--text-muted)" }}>
+            Only + − × ÷ and integer powers of x are allowed. Numerator and
+            denominator roughly double in length with every step.
+          </p>
+        )}
+      </div>
+
       <div className="flex flex-col gap-1">
         <label
           className="flex flex-col gap-1.5 text-sm font-medium"
           style={{ color: "var(--text-secondary)" }}
         >
           <span className="inline whitespace-nowrap">
-            Initial Guess (
-            <span ref={x0Ref} className="inline align-baseline text-[0.95em]">
-              x₀
+            {isBracketing ? "Interval Start" : "Initial Guess"} (
+            <span
+              key={startKey}
+              ref={x0Ref}
+              className="inline align-baseline text-[0.95em]"
+            >
+              {startLabel}
             </span>
             ):
           </span>
@@ -457,11 +903,116 @@ function Controls({
               background: "var(--bg-tertiary)",
               color: "var(--text-primary)",
             }}
-            placeholder="e.g., 3"
+            placeholder={startPlaceholder}
           />
         </label>
       </div>
 
+      {needsSecondGuess && (
+        <div className="flex flex-col gap-1">
+          <label
+            className="flex flex-col gap-1.5 text-sm font-medium"
+            style={{ color: "var(--text-secondary)" }}
+          >
+            <span className="inline whitespace-nowrap">
+              {isBracketing ? "Interval End" : "Second Point"} (
+              <span
+                key={isBracketing ? "b" : "x1"}
+                ref={x1Ref}
+                className="inline align-baseline text-[0.95em]"
+              >
+                {isBracketing ? "b" : "x₁"}
+              </span>
+              ):
+            </span>
+            <input
+              type="text"
+              value={secondGuess}
+              onChange={(e) => setSecondGuess(e.target.value)}
+              onKeyDown={handleKeyDown}
+              className="px-3 py-2.5 text-[15px] font-mono rounded-md transition-all duration-150 focus:outline-none"
+              style={{
+                border: "1px solid var(--border-secondary)",
+                background: "var(--bg-tertiary)",
+                color: "var(--text-primary)",
+              }}
+              placeholder="e.g., 2"
+            />
+          </label>
+        </div>
+      )}
+
+      <details
+        className="rounded-md px-3 py-2"
+        style={{
+          background: "var(--bg-tertiary)",
+          border: "1px solid var(--border-secondary)",
+        }}
+      >
+        <summary
+          className="text-sm font-medium cursor-pointer"
+          style={{ color: "var(--text-secondary)" }}
+        >
+          Stopping Criteria
+        </summary>
+        <div className="flex flex-col gap-2 mt-2">
+          {STOPPING_FIELDS.map((field) => (
+            <label
+              key={field.key}
+              className="flex items-center gap-2 text-[13px]"
+              style={{ color: "var(--text-tertiary)" }}
+            >
+              <input
+                type="checkbox"
+                checked={stoppingFields[field.key].enabled}
+                onChange={(e) =>
+                  updateStoppingField(field.key, { enabled: e.target.checked })
+                }
+              />
+              <span className="flex-1">{field.label}</span>
+              <input
+                type="text"
+                value={stoppingFields[field.key].value}
+                onChange={(e) =>
+                  updateStoppingField(field.key, { value: e.target.value })
+                }
+                onKeyDown={handleKeyDown}
+                disabled={!stoppingFields[field.key].enabled}
+                className="w-20 px-2 py-1 text-[13px] font-mono rounded focus:outline-none disabled:opacity-50"
+                style={{
+                  border: "1px solid var(--border-secondary)",
+                  background: "var(--bg-secondary)",
+                  color: "var(--text-primary)",
+                }}
+              />
+            </label>
+          ))}
+          <label
+            className="flex items-center gap-2 text-[13px]"
+            style={{ color: "var(--text-tertiary)" }}
+          >
+            <span className="flex-1">Combine tolerance tests with</span>
+            <select
+              value={stoppingCombine}
+              onChange={(e) => setStoppingCombine(e.target.value)}
+              className="px-2 py-1 text-[13px] rounded focus:outline-none"
+              style={{
+                border: "1px solid var(--border-secondary)",
+                background: "var(--bg-secondary)",
+                color: "var(--text-primary)",
+              }}
+            >
+              <option value="or">OR (any)</option>
+              <option value="and">AND (all)</option>
+            </select>
+          </label>
+          <p className="m-0 text-xs" style={{ color: "var(--text-muted)" }}>
+            The iteration cap always stops the run. Bracketing methods use the
+            bracket width as the step.
+          </p>
+        </div>
+      </details>
+
       {error && (
         <div
           className="px-3 py-2.5 text-[13px] rounded-md"
@@ -486,7 +1037,7 @@ function Controls({
 
         <button
           onClick={onNextIteration}
-          disabled={!isActive || hasConverged || !!error}
+          disabled={!isActive || isStopped || !!error}
           className="btn btn-secondary"
         >
           Next Iteration
@@ -528,7 +1079,30 @@ function Controls({
                 color: "var(--success-text)",
               }}
             >
-              Converged! Root found.
+              {methodInfo?.optimization
+                ? "Converged! Critical point found."
+                : "Converged! Root found."}
+              {stopResult?.converged && (
+                <StopDetails
+                  stopResult={stopResult}
+                  stoppingCriteria={stoppingCriteria}
+                />
+              )}
+            </div>
+          )}
+          {stopResult?.stop && !stopResult.converged && (
+            <div
+              className="mt-2 p-2 rounded text-[13px] font-medium text-center"
+              style={{
+                background: "var(--error-bg)",
+                color: "var(--error-text)",
+              }}
+            >
+              Stopped without meeting the tolerance.
+              <StopDetails
+                stopResult={stopResult}
+                stoppingCriteria={stoppingCriteria}
+              />
             </div>
           )}
         </div>
@@ -542,47 +1116,110 @@ function Controls({
           border: "1px solid var(--border-primary)",
         }}
       >
-        <h3
-          className="m-0 mb-2 text-sm font-semibold"
-          style={{ color: "var(--text-secondary)" }}
-        >
-          How Newton's Method Works
-        </h3>
-        <p
-          className="m-0 mb-3 text-[13px] leading-relaxed"
-          style={{ color: "var(--text-tertiary)" }}
-        >
-          Newton's method finds roots (zeros) of a function by repeatedly
-          improving an initial guess using tangent lines.
-        </p>
-        <ol
-          className="m-0 pl-5 text-[13px] leading-loose list-decimal"
-          style={{ color: "var(--text-tertiary)" }}
-        >
-          <li className="mb-1.5">
-            Start with initial guess{" "}
-            <span className="katex-formula" data-latex="x_0"></span>
-          </li>
-          <li className="mb-1.5">
-            Draw tangent line at{" "}
-            <span className="katex-formula" data-latex="(x_n, f(x_n))"></span>
-          </li>
-          <li className="mb-1.5">
-            Find the zeros of consecutive tangent line approximation
-          </li>
-          <li className="mb-1.5">
-            Use this x-intercept as the next guess and repeat:
+        {explanation ? (
+          <>
+            <h3
+              className="m-0 mb-2 text-sm font-semibold"
+              style={{ color: "var(--text-secondary)" }}
+            >
+              {explanation.title}
+            </h3>
+            <p
+              className="m-0 mb-3 text-[13px] leading-relaxed"
+              style={{ color: "var(--text-tertiary)" }}
+            >
+              {explanation.summary}
+            </p>
             <div
               className="my-2 p-3 rounded text-center text-[1.1em]"
               style={{ background: "var(--bg-secondary)" }}
             >
               <span
                 className="katex-formula display-mode"
-                data-latex="x_{n+1} = x_n - \frac{f(x_n)}{f'(x_n)}"
+                data-latex={explanation.formula}
               ></span>
             </div>
-          </li>
-        </ol>
+          </>
+        ) : (
+          <>
+            <h3
+              className="m-0 mb-2 text-sm font-semibold"
+              style={{ color: "var(--text-secondary)" }}
+            >
+              How Newton's Method Works
+            </h3>
+            <p
+              className="m-0 mb-3 text-[13px] leading-relaxed"
+              style={{ color: "var(--text-tertiary)" }}
+            >
+              Newton's method finds roots (zeros) of a function by repeatedly
+              improving an initial guess using tangent lines.
+            </p>
+            <ol
+              className="m-0 pl-5 text-[13px] leading-loose list-decimal"
+              style={{ color: "var(--text-tertiary)" }}
+            >
+              <li className="mb-1.5">
+                Start with initial guess{" "}
+                <span className="katex-formula" data-latex="x_0"></span>
+              </li>
+              <li className="mb-1.5">
+                Draw tangent line at{" "}
+                <span className="katex-formula" data-latex="(x_n, f(x_n))"></span>
+              </li>
+              <li className="mb-1.5">
+                Find the zeros of consecutive tangent line approximation
+              </li>
+              <li className="mb-1.5">
+                Use this x-intercept as the next guess and repeat:
+                <div
+                  className="my-2 p-3 rounded text-center text-[1.1em]"
+                  style={{ background: "var(--bg-secondary)" }}
+                >
+                  <span
+                    className="katex-formula display-mode"
+                    data-latex="x_{n+1} = x_n - \frac{f(x_n)}{f'(x_n)}"
+                  ></span>
+                </div>
+              </li>
+              {damping && (
+                <li className="mb-1.5">
+                  With damping, halve{" "}
+                  <span className="katex-formula" data-latex="\lambda"></span>{" "}
+                  until |f| decreases enough:
+                  <div
+                    className="my-2 p-3 rounded text-center text-[1.1em]"
+                    style={{ background: "var(--bg-secondary)" }}
+                  >
+                    <span
+                      className="katex-formula display-mode"
+                      data-latex="x_{n+1} = x_n - \lambda\frac{f(x_n)}{f'(x_n)}"
+                    ></span>
+                  </div>
+                </li>
+              )}
+            </ol>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Which criterion stopped the run, and the final values it was tested on
+function StopDetails({ stopResult, stoppingCriteria }) {
+  const { fired, values } = stopResult;
+  return (
+    <div className="mt-1 text-[12px] font-normal">
+      <div>
+        Stopped by{" "}
+        {fired
+          .map((name) => describeStoppingCriterion(name, stoppingCriteria))
+          .join(stoppingCriteria.combine === "and" ? " and " : ", ")}
+      </div>
+      <div className="font-mono">
+        |f| = {values.f.toExponential(2)}, |Δx| = {values.step.toExponential(2)},
+        |Δx|/|x| = {values.relativeStep.toExponential(2)}
       </div>
     </div>
   );
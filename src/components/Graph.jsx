@@ -1,13 +1,77 @@
-import { useEffect, useRef, useCallback } from 'react';
+import { useEffect, useRef, useCallback, useState, useMemo } from 'react';
 import JXG from 'jsxgraph';
-import { getIterationColor } from '../utils/newton';
+import {
+  getIterationColor,
+  getRootHue,
+  classifyStartingPoint,
+  createSolver,
+  estimateConvergenceOrder,
+  classifyCriticalPoint,
+  SOLVER_METHODS
+} from '../utils/newton';
+import { createDerivative, createDerivatives, createSecondDerivative } from '../utils/mathParser';
+import { MAX_TAYLOR_ORDER, taylorCoefficients, evaluateTaylor, taylorErrorBound } from '../utils/taylor';
+import NewtonMapView from './NewtonMapView';
+
+// Basins strip: number of sampled starting points and its size in pixels
+const BASIN_SAMPLES = 300;
+const BASIN_STRIP_OFFSET_PX = 3;
+const BASIN_STRIP_HEIGHT_PX = 12;
+const BASIN_OUTCOME_COLORS = {
+  diverged: '#cbd5e1',
+  cycle: '#fde68a',
+  failed: '#94a3b8'
+};
+// Series colors on the convergence chart
+const CHART_F_COLOR = '#2563eb';
+const CHART_STEP_COLOR = '#f59e0b';
+// Interval Newton boxes: rows below the axis labels, wrapping after a dozen steps
+const ENCLOSURE_OFFSET_PX = 36;
+const ENCLOSURE_SPACING_PX = 7;
+const ENCLOSURE_ROWS = 12;
+const ENCLOSURE_PROVEN_COLOR = '#16a34a';
+const ENCLOSURE_EXCLUDED_COLOR = '#dc2626';
+// Kantorovich balls: the root ball sits on the axis, the uniqueness ball just above
+const KANTOROVICH_COLOR = '#16a34a';
+const KANTOROVICH_UNIQUENESS_OFFSET_PX = 10;
+const KANTOROVICH_TICK_PX = 5;
+// Critical point found by an optimization run, marked by the second-derivative test
+const CRITICAL_POINT_COLOR = '#0d9488';
+const CRITICAL_POINT_FACES = { minimum: 'triangleup', maximum: 'triangledown', degenerate: 'o' };
+// Real roots of a polynomial from the polynomial panel
+const POLYNOMIAL_ROOT_COLOR = '#7c3aed';
+// Methods whose steps follow the tangent, which the Taylor overlay generalizes
+const TAYLOR_METHODS = ['newton', 'hybrid'];
+// Derivative overlays. The view is shaded green where f·f″ > 0: by Fourier's condition,
+// Newton started there approaches a root monotonically if f′ and f″ keep their signs up to it
+const DERIVATIVE_COLOR = '#ea580c';
+const SECOND_DERIVATIVE_COLOR = '#db2777';
+const DERIVATIVE_ZERO_COLOR = '#dc2626';
+const FOURIER_HOLDS_COLOR = '#16a34a';
+const FOURIER_FAILS_COLOR = '#f97316';
+const DERIVATIVE_SAMPLES = 400;
+const BASIN_OUTCOME_LABELS = {
+  diverged: 'diverge',
+  cycle: 'cycle',
+  failed: 'fail'
+};
 
 function Graph({
   functionExpression,
   solver,
   iterations,
   visibleIterations,
-  onElementClick
+  onElementClick,
+  method,
+  solverOptions,
+  diagnostics,
+  selectedIteration,
+  kantorovich,
+  roots,
+  onRootClick,
+  onViewChange,
+  polynomialRoots,
+  converged
 }) {
   const containerRef = useRef(null);
   const boardRef = useRef(null);
@@ -16,6 +80,52 @@ function Graph({
     iterationElements: [],
     initialGuessPoint: null
   });
+  const chartContainerRef = useRef(null);
+  const chartRef = useRef(null);
+  const chartElementsRef = useRef([]);
+  const basinElementsRef = useRef([]);
+  const basinRootsRef = useRef([]);
+  const [showBasins, setShowBasins] = useState(false);
+  const methodInfo = SOLVER_METHODS.find(m => m.id === method);
+  const canShowBasins = methodInfo?.startingPoints === 1 && !methodInfo.complex;
+  const [showNewtonMap, setShowNewtonMap] = useState(false);
+  // Damped steps leave the graph of N, so the cobweb is only drawn for plain Newton
+  const canShowNewtonMap = method === 'newton' && !solverOptions?.damping;
+  const isNewtonMapView = showNewtonMap && canShowNewtonMap;
+  const [taylorOrder, setTaylorOrder] = useState(1);
+  const canShowTaylor = TAYLOR_METHODS.includes(method);
+  // f and its derivatives up to one past the chosen order, for the Taylor models and their
+  // error bounds. High orders can be slow to build, so each order is built on demand and kept
+  const taylorCacheRef = useRef({ expression: null, byOrder: new Map() });
+  const taylorDerivatives = useMemo(() => {
+    if (!canShowTaylor || !functionExpression) return null;
+    if (taylorCacheRef.current.expression !== functionExpression) {
+      taylorCacheRef.current = { expression: functionExpression, byOrder: new Map() };
+    }
+    const taylorCache = taylorCacheRef.current.byOrder;
+    const maxOrder = taylorOrder + 1;
+    if (!taylorCache.has(maxOrder)) {
+      try {
+        taylorCache.set(maxOrder, createDerivatives(functionExpression, maxOrder));
+      } catch {
+        taylorCache.set(maxOrder, null);
+      }
+    }
+    return taylorCache.get(maxOrder);
+  }, [canShowTaylor, functionExpression, taylorOrder]);
+  const [showFirstDerivative, setShowFirstDerivative] = useState(false);
+  const [showSecondDerivative, setShowSecondDerivative] = useState(false);
+  const derivativeFunctions = useMemo(() => {
+    if (typeof functionExpression !== 'string' || !functionExpression) return null;
+    try {
+      return {
+        fPrime: createDerivative(functionExpression),
+        fDoublePrime: createSecondDerivative(functionExpression)
+      };
+    } catch {
+      return null;
+    }
+  }, [functionExpression]);
   const panStateRef = useRef({
     isPanning: false,
     startX: 0,
@@ -140,6 +250,18 @@ function Graph({
     }
   }, []);
 
+  // Clear the basins strip
+  const clearBasins = useCallback(() => {
+    if (!boardRef.current) return;
+
+    basinElementsRef.current.forEach(element => {
+      if (element && boardRef.current.objects[element.id]) {
+        boardRef.current.removeObject(element);
+      }
+    });
+    basinElementsRef.current = [];
+  }, []);
+
   // Draw the main function curve
   useEffect(() => {
     if (!boardRef.current || !solver) return;
@@ -174,6 +296,499 @@ function Graph({
 
   }, [functionExpression, solver, onElementClick]);
 
+  // Basins of attraction strip: sample x0 across the visible range with a separate
+  // solver so the displayed run is untouched, and paint where each start ends up
+  useEffect(() => {
+    const board = boardRef.current;
+    if (!board || !showBasins || !canShowBasins || !functionExpression) {
+      clearBasins();
+      return;
+    }
+
+    let samplingSolver;
+    try {
+      // Sampling hundreds of starts in BigNumbers would be slow, and float64 finds the same basins
+      samplingSolver = createSolver(functionExpression, method, { ...solverOptions, precision: null, exact: false });
+    } catch {
+      clearBasins();
+      return;
+    }
+    basinRootsRef.current = [];
+
+    const drawBasins = () => {
+      clearBasins();
+
+      const [xMin, , xMax] = board.getBoundingBox();
+      const dx = (xMax - xMin) / BASIN_SAMPLES;
+      const runs = [];
+
+      for (let i = 0; i < BASIN_SAMPLES; i++) {
+        const result = classifyStartingPoint(samplingSolver, xMin + (i + 0.5) * dx);
+        const key = result.outcome === 'converged'
+          ? `root-${findRootIndex(basinRootsRef.current, result.root)}`
+          : result.outcome;
+        const lastRun = runs[runs.length - 1];
+        if (lastRun && lastRun.key === key) {
+          lastRun.to = xMin + (i + 1) * dx;
+        } else {
+          runs.push({ key, outcome: result.outcome, root: result.root, from: xMin + i * dx, to: xMin + (i + 1) * dx });
+        }
+      }
+
+      const newElements = [];
+      runs.forEach(run => {
+        const rootIndex = run.outcome === 'converged' ? findRootIndex(basinRootsRef.current, run.root) : -1;
+        const color = rootIndex >= 0 ? `hsl(${getRootHue(rootIndex)}, 70%, 50%)` : BASIN_OUTCOME_COLORS[run.outcome];
+
+        const strip = board.create('curve', [[], []], {
+          fillColor: color,
+          fillOpacity: 0.85,
+          strokeWidth: 0,
+          layer: 2,
+          highlight: false,
+          fixed: true
+        });
+        // Fixed pixel height just below the axis, whatever the zoom
+        strip.updateDataArray = function () {
+          const top = -BASIN_STRIP_OFFSET_PX / board.unitY;
+          const bottom = -(BASIN_STRIP_OFFSET_PX + BASIN_STRIP_HEIGHT_PX) / board.unitY;
+          this.dataX = [run.from, run.to, run.to, run.from, run.from];
+          this.dataY = [top, top, bottom, bottom, top];
+        };
+        newElements.push(strip);
+
+        // Cycles and failures are hatched so they read differently from plain divergence
+        if (run.outcome === 'cycle' || run.outcome === 'failed') {
+          const hatch = board.create('curve', [[], []], {
+            strokeColor: '#334155',
+            strokeWidth: 1,
+            layer: 2,
+            highlight: false,
+            fixed: true
+          });
+          hatch.updateDataArray = function () {
+            const top = -BASIN_STRIP_OFFSET_PX / board.unitY;
+            const bottom = -(BASIN_STRIP_OFFSET_PX + BASIN_STRIP_HEIGHT_PX) / board.unitY;
+            const slant = BASIN_STRIP_HEIGHT_PX / board.unitX;
+            const spacing = 6 / board.unitX;
+            const xs = [];
+            const ys = [];
+            for (let x = run.from; x < run.to; x += spacing) {
+              xs.push(x, Math.min(x + slant, run.to), NaN);
+              ys.push(top, bottom, NaN);
+            }
+            this.dataX = xs;
+            this.dataY = ys;
+          };
+          newElements.push(hatch);
+        }
+
+        strip.on('down', () => {
+          if (onElementClick) {
+            onElementClick({
+              type: 'basin',
+              name: run.outcome === 'converged' ? `Basin of the root near ${run.root.toFixed(6)}` : `Starting points that ${BASIN_OUTCOME_LABELS[run.outcome]}`,
+              from: run.from,
+              to: run.to,
+              outcome: run.outcome,
+              root: run.root
+            });
+          }
+        });
+      });
+
+      board.update();
+      basinElementsRef.current = newElements;
+    };
+
+    drawBasins();
+
+    // Resample once panning or zooming settles
+    let debounce = null;
+    const handleBoundingBox = () => {
+      clearTimeout(debounce);
+      debounce = setTimeout(drawBasins, 150);
+    };
+    board.on('boundingbox', handleBoundingBox);
+
+    return () => {
+      clearTimeout(debounce);
+      board.off('boundingbox', handleBoundingBox);
+      clearBasins();
+    };
+  }, [showBasins, canShowBasins, functionExpression, method, solverOptions, solver, clearBasins, onElementClick]);
+
+  // Derivative overlays: f′ with its zeros, where a Newton step is undefined, and f″
+  // with the line shaded by the sign of f·f″ (Fourier's condition)
+  useEffect(() => {
+    const board = boardRef.current;
+    if (!board || !solver || !derivativeFunctions || (!showFirstDerivative && !showSecondDerivative)) return;
+
+    const { fPrime, fDoublePrime } = derivativeFunctions;
+    const curves = [];
+    let sampledElements = [];
+
+    const removeSampled = () => {
+      sampledElements.forEach(element => {
+        if (board.objects[element.id]) {
+          board.removeObject(element);
+        }
+      });
+      sampledElements = [];
+    };
+
+    if (showFirstDerivative) {
+      curves.push(board.create('functiongraph', [(x) => {
+        const y = fPrime(x);
+        return isFinite(y) ? y : NaN;
+      }], {
+        strokeColor: DERIVATIVE_COLOR,
+        strokeWidth: 1.5,
+        highlight: false,
+        fixed: true
+      }));
+    }
+    if (showSecondDerivative) {
+      curves.push(board.create('functiongraph', [(x) => {
+        const y = fDoublePrime(x);
+        return isFinite(y) ? y : NaN;
+      }], {
+        strokeColor: SECOND_DERIVATIVE_COLOR,
+        strokeWidth: 1.5,
+        highlight: false,
+        fixed: true
+      }));
+    }
+
+    const drawSampled = () => {
+      removeSampled();
+
+      const [xMin, , xMax] = board.getBoundingBox();
+      const dx = (xMax - xMin) / DERIVATIVE_SAMPLES;
+      const xs = Array.from({ length: DERIVATIVE_SAMPLES + 1 }, (_, i) => xMin + i * dx);
+
+      if (showSecondDerivative) {
+        // Runs of constant sign of f·f″; undefined samples end a run
+        const runs = [];
+        xs.slice(0, -1).forEach(x => {
+          const product = solver.evaluate(x + dx / 2) * fDoublePrime(x + dx / 2);
+          const sign = isFinite(product) && product !== 0 ? Math.sign(product) : 0;
+          const lastRun = runs[runs.length - 1];
+          if (lastRun && lastRun.sign === sign) {
+            lastRun.to = x + dx;
+          } else {
+            runs.push({ sign, from: x, to: x + dx });
+          }
+        });
+
+        runs.filter(run => run.sign !== 0).forEach(run => {
+          const band = board.create('curve', [[], []], {
+            fillColor: run.sign > 0 ? FOURIER_HOLDS_COLOR : FOURIER_FAILS_COLOR,
+            fillOpacity: 0.08,
+            strokeWidth: 0,
+            layer: 0,
+            highlight: false,
+            fixed: true
+          });
+          band.updateDataArray = function () {
+            const [, top, , bottom] = board.getBoundingBox();
+            this.dataX = [run.from, run.to, run.to, run.from, run.from];
+            this.dataY = [top, top, bottom, bottom, top];
+          };
+          sampledElements.push(band);
+        });
+      }
+
+      if (showFirstDerivative) {
+        findDerivativeZeros(fPrime, xs).forEach(x => {
+          const fx = solver.evaluate(x);
+          if (!isFinite(fx)) return;
+
+          const marker = board.create('point', [x, fx], {
+            name: '',
+            size: 5,
+            face: 'x',
+            strokeColor: DERIVATIVE_ZERO_COLOR,
+            strokeWidth: 2,
+            withLabel: false,
+            fixed: true
+          });
+          sampledElements.push(marker);
+
+          marker.on('down', () => {
+            if (onElementClick) {
+              onElementClick({
+                type: 'derivativeZero',
+                name: `f′(x) = 0 at x = ${x.toFixed(6)}`,
+                x,
+                fx
+              });
+            }
+          });
+        });
+      }
+
+      board.update();
+    };
+
+    drawSampled();
+
+    // Resample once panning or zooming settles
+    let debounce = null;
+    const handleBoundingBox = () => {
+      clearTimeout(debounce);
+      debounce = setTimeout(drawSampled, 150);
+    };
+    board.on('boundingbox', handleBoundingBox);
+
+    return () => {
+      clearTimeout(debounce);
+      board.off('boundingbox', handleBoundingBox);
+      removeSampled();
+      curves.forEach(curve => {
+        if (board.objects[curve.id]) {
+          board.removeObject(curve);
+        }
+      });
+    };
+  }, [showFirstDerivative, showSecondDerivative, derivativeFunctions, solver, onElementClick]);
+
+  // Kantorovich ball |x − x0| ≤ r* on the x-axis, with the wider uniqueness ball above it
+  useEffect(() => {
+    const board = boardRef.current;
+    if (!board || !kantorovich?.guaranteed || !kantorovich.radius) return;
+
+    const { x0, radius, uniquenessRadius } = kantorovich;
+    const balls = [
+      { r: radius, offset: 0, width: 4, dash: 0 },
+      ...(uniquenessRadius ? [{ r: uniquenessRadius, offset: KANTOROVICH_UNIQUENESS_OFFSET_PX, width: 2, dash: 2 }] : [])
+    ];
+
+    const elements = balls.map(ball => {
+      const curve = board.create('curve', [[], []], {
+        strokeColor: KANTOROVICH_COLOR,
+        strokeWidth: ball.width,
+        dash: ball.dash,
+        strokeOpacity: 0.85,
+        layer: 7,
+        highlight: false,
+        fixed: true
+      });
+      // Fixed pixel offsets from the axis, whatever the zoom
+      curve.updateDataArray = function () {
+        const y = ball.offset / board.unitY;
+        const tick = KANTOROVICH_TICK_PX / board.unitY;
+        this.dataX = [x0 - ball.r, x0 - ball.r, x0 - ball.r, x0 + ball.r, x0 + ball.r, x0 + ball.r];
+        this.dataY = [y + tick, y - tick, y, y, y + tick, y - tick];
+      };
+      return curve;
+    });
+    board.update();
+
+    return () => {
+      elements.forEach(element => {
+        if (board.objects[element.id]) {
+          board.removeObject(element);
+        }
+      });
+    };
+  }, [kantorovich]);
+
+  // Report the visible x-range, the default interval for finding all roots
+  useEffect(() => {
+    const board = boardRef.current;
+    if (!board || !onViewChange) return;
+
+    const report = () => {
+      const [xMin, , xMax] = board.getBoundingBox();
+      onViewChange(xMin, xMax);
+    };
+    report();
+    board.on('boundingbox', report);
+
+    return () => {
+      board.off('boundingbox', report);
+    };
+  }, [onViewChange]);
+
+  // Roots from "Find all roots", marked on the axis; clicking one traces a run toward it
+  useEffect(() => {
+    const board = boardRef.current;
+    if (!board || !roots || roots.length === 0) return;
+
+    const markers = roots.map((root, idx) => {
+      const color = `hsl(${getRootHue(idx)}, 70%, 50%)`;
+      const marker = board.create('point', [root.x, 0], {
+        name: `r${idx + 1}`,
+        face: 'diamond',
+        size: 7,
+        fillColor: color,
+        strokeColor: '#000000',
+        strokeWidth: 1,
+        withLabel: true,
+        fixed: true,
+        showInfobox: false,
+        layer: 8,
+        label: {
+          position: 'top',
+          offset: [0, 16],
+          fontSize: 12,
+          fontWeight: 'bold',
+          color: '#000000',
+          useMathJax: false,
+          cssStyle: 'background: rgba(255,255,255,0.85); padding: 1px 4px; border-radius: 3px; border: 1px solid ' + color
+        }
+      });
+      marker.on('down', () => {
+        onRootClick?.(root);
+      });
+      return marker;
+    });
+
+    return () => {
+      markers.forEach(marker => {
+        if (board.objects[marker.id]) {
+          board.removeObject(marker);
+        }
+      });
+    };
+  }, [roots, onRootClick]);
+
+  // Real roots of a polynomial, labeled as in the polynomial panel's table of complex roots
+  useEffect(() => {
+    const board = boardRef.current;
+    if (!board || !polynomialRoots) return;
+
+    const markers = polynomialRoots
+      .map((z, idx) => ({ z, name: `z${idx + 1}` }))
+      .filter(({ z }) => z.im === 0)
+      .map(({ z, name }) => board.create('point', [z.re, 0], {
+        name,
+        size: 4,
+        fillColor: '#ffffff',
+        strokeColor: POLYNOMIAL_ROOT_COLOR,
+        strokeWidth: 2,
+        withLabel: true,
+        fixed: true,
+        layer: 7,
+        label: {
+          position: 'bot',
+          offset: [0, -14],
+          fontSize: 11,
+          color: POLYNOMIAL_ROOT_COLOR,
+          useMathJax: false
+        }
+      }));
+
+    return () => {
+      markers.forEach(marker => {
+        if (board.objects[marker.id]) {
+          board.removeObject(marker);
+        }
+      });
+    };
+  }, [polynomialRoots]);
+
+  // Semi-log convergence chart: log10|f(x_n)| and log10|x_{n+1} − x_n| against n
+  useEffect(() => {
+    if (!chartContainerRef.current) return;
+
+    const chart = JXG.JSXGraph.initBoard(chartContainerRef.current.id, {
+      boundingbox: [-0.5, 2, 10, -16],
+      axis: true,
+      grid: true,
+      showNavigation: false,
+      showCopyright: false,
+      pan: { enabled: false },
+      zoom: { wheel: false },
+      keepAspectRatio: false
+    });
+    chartRef.current = chart;
+
+    return () => {
+      JXG.JSXGraph.freeBoard(chart);
+      chartRef.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    const chart = chartRef.current;
+    if (!chart) return;
+
+    chartElementsRef.current.forEach(element => {
+      if (element && chart.objects[element.id]) {
+        chart.removeObject(element);
+      }
+    });
+    chartElementsRef.current = [];
+
+    if (!iterations || iterations.length === 0) return;
+
+    const { steps } = estimateConvergenceOrder(iterations);
+    const series = [
+      { color: CHART_F_COLOR, values: iterations.map(iter => Math.abs(iter.residual ?? iter.fx)) },
+      { color: CHART_STEP_COLOR, values: steps }
+    ];
+
+    // Fit the chart around every finite, nonzero value
+    const logs = series.flatMap(s => s.values)
+      .filter(v => v !== undefined && v > 0 && isFinite(v))
+      .map(v => Math.log10(v));
+    const yMax = Math.ceil(Math.max(0, ...logs)) + 1;
+    const yMin = Math.floor(Math.min(-1, ...logs)) - 1;
+    chart.setBoundingBox([-0.5, yMax, Math.max(5, iterations.length) - 0.5, yMin], false);
+
+    const newElements = [];
+    series.forEach(({ color, values }) => {
+      const points = values
+        .map((v, n) => ({ n, v }))
+        .filter(({ v }) => v !== undefined && v > 0 && isFinite(v));
+      if (points.length === 0) return;
+
+      const line = chart.create('curve', [
+        points.map(p => p.n),
+        points.map(p => Math.log10(p.v))
+      ], {
+        strokeColor: color,
+        strokeWidth: 2,
+        highlight: false,
+        fixed: true
+      });
+      newElements.push(line);
+
+      points.forEach(({ n, v }) => {
+        const isSelected = n === selectedIteration;
+        const point = chart.create('point', [n, Math.log10(v)], {
+          name: '',
+          size: isSelected ? 6 : 3,
+          fillColor: color,
+          strokeColor: isSelected ? '#000000' : color,
+          strokeWidth: isSelected ? 2 : 1,
+          withLabel: false,
+          showInfobox: false,
+          fixed: true
+        });
+        newElements.push(point);
+
+        point.on('down', () => {
+          if (onElementClick) {
+            const iter = iterations[n];
+            onElementClick({
+              type: 'point',
+              name: `Iteration ${n}`,
+              index: n,
+              x: iter.x,
+              fx: iter.fx,
+              fPrimeX: iter.fPrimeX
+            });
+          }
+        });
+      });
+    });
+
+    chartElementsRef.current = newElements;
+  }, [iterations, selectedIteration, onElementClick]);
+
   // Draw iteration elements
   useEffect(() => {
     if (!boardRef.current || !solver || !iterations || iterations.length === 0) {
@@ -186,6 +801,7 @@ function Graph({
     const newElements = [];
 
     const initialFx = iterations[0]?.fx ?? 1;
+    let hasBands = false;
 
     iterations.forEach((iter, idx) => {
       const isVisible = visibleIterations?.has(idx) ?? true;
@@ -194,8 +810,141 @@ function Graph({
       const color = getIterationColor(iter.fx, initialFx);
       const isFirst = idx === 0;
 
-      const tangentSlope = iter.fPrimeX;
-      const tangentIntercept = iter.fx - iter.fPrimeX * iter.x;
+      // Secant iterations carry the line through (x_{n-1}, f(x_{n-1})) and (x_n, f(x_n));
+      // Steffensen uses the line through (x_n, f(x_n)) and its auxiliary point;
+      // modified Newton scales the tangent slope by 1/m so the line crosses the axis at
+      // x_n - m·f/f'; Newton iterations use the tangent at x_n
+      const isSecant = iter.secantSlope !== undefined;
+      const isSteffensen = iter.slopeEstimate !== undefined;
+      const isScaled = iter.multiplicity !== undefined;
+      let lineSlope = iter.fPrimeX;
+      if (isSecant) {
+        lineSlope = iter.secantSlope;
+      } else if (isSteffensen) {
+        lineSlope = iter.slopeEstimate;
+      } else if (isScaled) {
+        lineSlope = iter.fPrimeX / iter.multiplicity;
+      }
+      const lineIntercept = iter.fx - lineSlope * iter.x;
+      let lineName = `Tangent at x${idx}`;
+      if (isSecant) {
+        lineName = `Secant through x${idx - 1} and x${idx}`;
+      } else if (isSteffensen) {
+        lineName = `Steffensen line at x${idx}`;
+      } else if (isScaled) {
+        lineName = `Scaled tangent at x${idx} (m = ${formatMultiplicity(iter.multiplicity)})`;
+      }
+
+      // Newton steps land where the tangent crosses the axis, so the truncation error
+      // of a Taylor model about xₙ is bounded there
+      const isTaylorStep = !!taylorDerivatives && iter.fPrimeX !== undefined && iter.fPrimeX !== 0;
+      const getTruncation = (order, coefficients) => {
+        const at = iter.x - iter.fx / iter.fPrimeX;
+        const estimate = taylorErrorBound(taylorDerivatives, order, iter.x, at);
+        if (!estimate) return null;
+        return {
+          order,
+          center: iter.x,
+          at,
+          bound: estimate.bound,
+          maxDerivative: estimate.maxDerivative,
+          actualError: Math.abs(solver.evaluate(at) - evaluateTaylor(coefficients, iter.x, at))
+        };
+      };
+
+      // Bisection bracket: the current one is shaded, earlier ones stay as nested faded bands
+      if (iter.width !== undefined) {
+        const isCurrent = idx === iterations.length - 1;
+        const band = board.create('curve', [[], []], {
+          fillColor: color,
+          fillOpacity: isCurrent ? 0.2 : 0.06,
+          strokeColor: color,
+          strokeOpacity: isCurrent ? 0.8 : 0,
+          strokeWidth: 1.5,
+          layer: 3,
+          highlight: false,
+          fixed: true
+        });
+        // Span the full visible height so the band survives panning and zooming
+        band.updateDataArray = function () {
+          const box = board.getBoundingBox();
+          this.dataX = [iter.a, iter.b, iter.b, iter.a, iter.a];
+          this.dataY = [box[1], box[1], box[3], box[3], box[1]];
+        };
+        newElements.push(band);
+        hasBands = true;
+
+        band.on('down', () => {
+          if (onElementClick) {
+            onElementClick({
+              type: 'bracket',
+              name: `Bracket ${idx}`,
+              a: iter.a,
+              b: iter.b,
+              midpoint: iter.x,
+              width: iter.width
+            });
+          }
+        });
+      }
+
+      // Interval Newton box examined at this step, drawn as a bracket below the axis;
+      // successive rows show the enclosures nesting around each root
+      if (iter.enclosure) {
+        const { lo, hi } = iter.enclosure;
+        let boxColor = color;
+        if (iter.proven) {
+          boxColor = ENCLOSURE_PROVEN_COLOR;
+        } else if (iter.proof === 'none') {
+          boxColor = ENCLOSURE_EXCLUDED_COLOR;
+        }
+        const enclosure = board.create('curve', [[], []], {
+          strokeColor: boxColor,
+          strokeWidth: idx === iterations.length - 1 ? 3 : 2,
+          layer: 6,
+          highlight: false,
+          fixed: true
+        });
+        // Keep the rows a fixed number of pixels apart while panning and zooming
+        enclosure.updateDataArray = function () {
+          const box = board.getBoundingBox();
+          const pixel = (box[1] - box[3]) / board.canvasHeight;
+          const y = -(ENCLOSURE_OFFSET_PX + (idx % ENCLOSURE_ROWS) * ENCLOSURE_SPACING_PX) * pixel;
+          const tick = 3 * pixel;
+          this.dataX = [lo, lo, lo, hi, hi, hi];
+          this.dataY = [y + tick, y - tick, y, y, y + tick, y - tick];
+        };
+        newElements.push(enclosure);
+
+        enclosure.on('down', () => {
+          if (onElementClick) {
+            onElementClick({
+              type: 'enclosure',
+              name: `Box X${idx}`,
+              index: idx,
+              record: iter
+            });
+          }
+        });
+
+        // The lines through (m, f(m)) with the extreme slopes of F′(X) cut the axis at the ends of N(X)
+        const { slopes } = iter;
+        if (slopes && (slopes.lo > 0 || slopes.hi < 0) && isFinite(slopes.lo) && isFinite(slopes.hi)) {
+          [slopes.lo, slopes.hi].forEach(slope => {
+            const cone = board.create('segment', [
+              [iter.x, iter.fx],
+              [iter.x - iter.fx / slope, 0]
+            ], {
+              strokeColor: boxColor,
+              strokeWidth: 1.5,
+              dash: 2,
+              highlight: false,
+              fixed: true
+            });
+            newElements.push(cone);
+          });
+        }
+      }
 
       // Point on the curve
       const pointOnCurve = board.create('point', [iter.x, iter.fx], {
@@ -225,6 +974,7 @@ function Graph({
           onElementClick({
             type: 'point',
             name: `Iteration ${idx}`,
+            index: idx,
             x: iter.x,
             fx: iter.fx,
             fPrimeX: iter.fPrimeX
@@ -232,32 +982,201 @@ function Graph({
         }
       });
 
-      // Tangent line
-      const tangentLine = board.create('functiongraph', [
-        (t) => tangentSlope * t + tangentIntercept
-      ], {
-        strokeColor: color,
-        strokeWidth: 3.5,
-        dash: 2,
-        name: `Tangent ${idx}`,
-        withLabel: false,
-        highlight: true,
-        fixed: true
-      });
-      newElements.push(tangentLine);
+      // A converged optimization run labels the critical point it found
+      if (converged && idx === iterations.length - 1 && iter.residual !== undefined) {
+        const kind = classifyCriticalPoint(iter.fDoublePrimeX);
+        const criticalPoint = board.create('point', [iter.x, iter.fx], {
+          name: kind === 'degenerate' ? 'critical point (f″ = 0)' : `local ${kind}`,
+          size: 9,
+          face: CRITICAL_POINT_FACES[kind],
+          fillOpacity: 0,
+          strokeColor: CRITICAL_POINT_COLOR,
+          strokeWidth: 2,
+          withLabel: true,
+          highlight: false,
+          fixed: true,
+          label: {
+            position: kind === 'maximum' ? 'top' : 'bot',
+            offset: [0, kind === 'maximum' ? 30 : -30],
+            fontSize: 13,
+            fontWeight: 'bold',
+            color: CRITICAL_POINT_COLOR,
+            useMathJax: false,
+            cssStyle: 'background: rgba(255,255,255,0.9); padding: 1px 5px; border-radius: 3px; border: 1px solid ' + CRITICAL_POINT_COLOR
+          }
+        });
+        newElements.push(criticalPoint);
+      }
 
-      tangentLine.on('down', () => {
-        if (onElementClick) {
-          const xIntercept = -tangentIntercept / tangentSlope;
-          onElementClick({
-            type: 'tangent',
-            name: `Tangent at x${idx}`,
-            slope: tangentSlope,
-            intercept: tangentIntercept,
-            xIntercept: xIntercept
-          });
-        }
-      });
+      // Ring the iteration selected here, on the convergence chart or in the table
+      if (idx === selectedIteration) {
+        const ring = board.create('point', [iter.x, iter.fx], {
+          name: '',
+          size: 11,
+          fillOpacity: 0,
+          strokeColor: '#000000',
+          strokeWidth: 2,
+          withLabel: false,
+          highlight: false,
+          fixed: true
+        });
+        newElements.push(ring);
+      }
+
+      // Halley/Householder iterations step to the zero of an osculating curve instead of a tangent
+      if (iter.osculating) {
+        const { p, q, s } = iter.osculating;
+        const isHyperbola = iter.fTriplePrimeX === undefined;
+        const osculatingCurve = board.create('functiongraph', [
+          (t) => {
+            const d = t - iter.x;
+            return (iter.fx + p * d) / (1 + q * d + s * d * d);
+          }
+        ], {
+          strokeColor: color,
+          strokeWidth: 3.5,
+          dash: 2,
+          name: `Osculating curve ${idx}`,
+          withLabel: false,
+          highlight: true,
+          fixed: true
+        });
+        newElements.push(osculatingCurve);
+
+        osculatingCurve.on('down', () => {
+          if (onElementClick) {
+            onElementClick({
+              type: 'osculating',
+              name: isHyperbola ? `Osculating hyperbola at x${idx}` : `Osculating curve at x${idx}`,
+              center: iter.x,
+              fx: iter.fx,
+              p,
+              q,
+              s,
+              xIntercept: iter.x - iter.fx / p
+            });
+          }
+        });
+      } else if (iter.vertex) {
+        // Optimization steps to the vertex of the local quadratic model instead of a tangent's zero
+        const { fPrimeX, fDoublePrimeX, vertex } = iter;
+        const model = board.create('functiongraph', [
+          (t) => {
+            const d = t - iter.x;
+            return iter.fx + fPrimeX * d + 0.5 * fDoublePrimeX * d * d;
+          }
+        ], {
+          strokeColor: color,
+          strokeWidth: 3.5,
+          dash: 2,
+          name: `Quadratic model at x${idx}`,
+          withLabel: false,
+          highlight: true,
+          fixed: true
+        });
+        newElements.push(model);
+
+        const vertexPoint = board.create('point', [vertex.x, vertex.y], {
+          name: `vertex ${idx}`,
+          size: 4,
+          face: 'square',
+          fillColor: '#ffffff',
+          strokeColor: color,
+          strokeWidth: 2,
+          withLabel: false,
+          fixed: true
+        });
+        newElements.push(vertexPoint);
+
+        // The vertex is the next iterate; drop it onto the curve there
+        const drop = board.create('segment', [
+          [vertex.x, vertex.y],
+          [vertex.x, solver.evaluate(vertex.x)]
+        ], {
+          strokeColor: color,
+          strokeWidth: 1.5,
+          dash: 1,
+          highlight: false,
+          fixed: true
+        });
+        newElements.push(drop);
+
+        const handleModelClick = () => {
+          if (onElementClick) {
+            onElementClick({
+              type: 'quadraticModel',
+              name: `Quadratic model at x${idx}`,
+              center: iter.x,
+              fx: iter.fx,
+              fPrimeX,
+              fDoublePrimeX,
+              vertex
+            });
+          }
+        };
+        model.on('down', handleModelClick);
+        vertexPoint.on('down', handleModelClick);
+      } else if (lineSlope !== undefined) {
+        // Tangent or secant line (the first secant point has no line yet)
+        const tangentLine = board.create('functiongraph', [
+          (t) => lineSlope * t + lineIntercept
+        ], {
+          strokeColor: color,
+          strokeWidth: 3.5,
+          dash: 2,
+          name: lineName,
+          withLabel: false,
+          highlight: true,
+          fixed: true
+        });
+        newElements.push(tangentLine);
+
+        tangentLine.on('down', () => {
+          if (onElementClick) {
+            const xIntercept = -lineIntercept / lineSlope;
+            onElementClick({
+              type: isSecant || isSteffensen ? 'secant' : 'tangent',
+              name: lineName,
+              slope: lineSlope,
+              intercept: lineIntercept,
+              xIntercept: xIntercept,
+              truncation: isTaylorStep ? getTruncation(1, [iter.fx, iter.fPrimeX]) : null
+            });
+          }
+        });
+      }
+
+      // Taylor polynomial of the chosen order, drawn over the tangent it generalizes
+      const coefficients = isTaylorStep && taylorOrder > 1
+        ? taylorCoefficients(taylorDerivatives, iter.x, taylorOrder)
+        : null;
+      if (coefficients) {
+        const taylorName = `Taylor polynomial T${taylorOrder} at x${idx}`;
+        const taylorCurve = board.create('functiongraph', [
+          (t) => evaluateTaylor(coefficients, iter.x, t)
+        ], {
+          strokeColor: color,
+          strokeWidth: 2.5,
+          dash: 1,
+          name: taylorName,
+          withLabel: false,
+          highlight: true,
+          fixed: true
+        });
+        newElements.push(taylorCurve);
+
+        taylorCurve.on('down', () => {
+          if (onElementClick) {
+            onElementClick({
+              type: 'taylor',
+              name: taylorName,
+              center: iter.x,
+              coefficients,
+              truncation: getTruncation(taylorOrder, coefficients)
+            });
+          }
+        });
+      }
 
       // Vertical line from point to x-axis
       const verticalLine = board.create('segment', [
@@ -297,8 +1216,10 @@ function Graph({
         newElements.push(initialGuessPoint);
       } else {
         // Other x-axis points are NOT draggable
+        // Hybrid steps are labelled with the kind of step that produced them
+        const stepLabel = iter.step ? ` (${iter.step === 'newton' ? 'Newton' : 'bisection'})` : '';
         const pointOnAxis = board.create('point', [iter.x, 0], {
-          name: `x${idx}`,
+          name: `x${idx}${stepLabel}`,
           size: 4,
           fillColor: color,
           strokeColor: '#000000',
@@ -316,10 +1237,147 @@ function Graph({
         });
         newElements.push(pointOnAxis);
       }
+
+      // Steffensen's auxiliary point (x_n + f(x_n), f(x_n + f(x_n)))
+      if (isSteffensen && isFinite(iter.auxX) && isFinite(iter.auxFx)) {
+        const auxPoint = board.create('point', [iter.auxX, iter.auxFx], {
+          name: `x${idx} + f(x${idx})`,
+          size: 3,
+          face: 'square',
+          fillColor: '#ffffff',
+          strokeColor: color,
+          strokeWidth: 2,
+          withLabel: false,
+          fixed: true
+        });
+        newElements.push(auxPoint);
+
+        auxPoint.on('down', () => {
+          if (onElementClick) {
+            onElementClick({
+              type: 'point',
+              name: `Auxiliary point x${idx} + f(x${idx})`,
+              x: iter.auxX,
+              fx: iter.auxFx
+            });
+          }
+        });
+      }
+
+      // Damped steps: the full Newton target, and the pull-back to the accepted point
+      if (iter.fullNextX !== undefined && iter.lambda < 1 && isFinite(iter.fullNextX)) {
+        const fullTarget = board.create('point', [iter.fullNextX, 0], {
+          name: `full step ${idx}`,
+          size: 4,
+          fillColor: '#ffffff',
+          strokeColor: color,
+          strokeWidth: 2,
+          withLabel: false,
+          fixed: true
+        });
+        newElements.push(fullTarget);
+
+        const pullBack = board.create('arrow', [
+          [iter.fullNextX, 0],
+          [iter.x, 0]
+        ], {
+          strokeColor: color,
+          strokeWidth: 2,
+          dash: 1,
+          highlight: false,
+          fixed: true
+        });
+        newElements.push(pullBack);
+
+        fullTarget.on('down', () => {
+          if (onElementClick) {
+            onElementClick({
+              type: 'damping',
+              name: `Damped step to x${idx}`,
+              fullNextX: iter.fullNextX,
+              acceptedX: iter.x,
+              lambda: iter.lambda,
+              backtracks: iter.backtracks
+            });
+          }
+        });
+      }
+
+      // Newton target the hybrid rejected in favour of bisection
+      if (iter.rejectedNewtonX !== undefined && iter.rejectedNewtonX !== null && isFinite(iter.rejectedNewtonX)) {
+        const rejectedPoint = board.create('point', [iter.rejectedNewtonX, 0], {
+          name: `rejected Newton step ${idx}`,
+          face: 'x',
+          size: 4,
+          strokeColor: '#94a3b8',
+          withLabel: false,
+          fixed: true
+        });
+        newElements.push(rejectedPoint);
+
+        rejectedPoint.on('down', () => {
+          if (onElementClick) {
+            onElementClick({
+              type: 'point',
+              name: `Rejected Newton step ${idx}`,
+              x: iter.rejectedNewtonX,
+              fx: solver.evaluate(iter.rejectedNewtonX)
+            });
+          }
+        });
+      }
     });
 
+    // Highlight a detected cycle: ring its points and join them in visiting order
+    const cycle = diagnostics?.find(diagnosis => diagnosis.type === 'cycle');
+    if (cycle) {
+      const cyclePoints = cycle.indices.map(i => iterations[i]).filter(Boolean);
+      const cyclePath = board.create('curve', [
+        cyclePoints.map(iter => iter.x),
+        cyclePoints.map(iter => iter.fx)
+      ], {
+        strokeColor: '#f59e0b',
+        strokeWidth: 4,
+        strokeOpacity: 0.8,
+        layer: 4,
+        highlight: false,
+        fixed: true
+      });
+      newElements.push(cyclePath);
+
+      cyclePoints.slice(1).forEach((iter, k) => {
+        const ring = board.create('point', [iter.x, iter.fx], {
+          name: '',
+          size: 10,
+          fillOpacity: 0,
+          strokeColor: '#f59e0b',
+          strokeWidth: 3,
+          withLabel: false,
+          fixed: true
+        });
+        newElements.push(ring);
+
+        ring.on('down', () => {
+          if (onElementClick) {
+            onElementClick({
+              type: 'point',
+              name: `Cycle point ${k + 1} of ${cycle.period}`,
+              x: iter.x,
+              fx: iter.fx,
+              fPrimeX: iter.fPrimeX
+            });
+          }
+        });
+      });
+    }
+
+    // Bands compute their extent from the bounding box, which needs one more update
+    if (hasBands) {
+      board.update();
+    }
+
     elementsRef.current.iterationElements = newElements;
-  }, [iterations, visibleIterations, solver, clearIterations, onElementClick]);
+  }, [iterations, visibleIterations, solver, clearIterations, onElementClick, diagnostics, selectedIteration, converged, taylorDerivatives, taylorOrder]);
 
   const resetView = useCallback(() => {
     if (boardRef.current) {
@@ -333,7 +1391,8 @@ function Graph({
       return;
     }
 
-    const xValues = iterations.map(i => i.x);
+    // Include bracket endpoints so the whole starting interval stays in view
+    const xValues = iterations.flatMap(i => (i.width !== undefined || i.enclosure ? [i.a, i.b] : [i.x]));
     const yValues = iterations.map(i => i.fx).filter(y => isFinite(y));
 
     if (xValues.length === 0) {
@@ -354,7 +1413,7 @@ function Graph({
       <div
         id="jsxgraph-board"
         ref={containerRef}
-        className="graph-board w-full rounded-lg transition-colors duration-300"
+        className={`graph-board w-full rounded-lg transition-colors duration-300${isNewtonMapView ? ' hidden' : ''}`}
         style={{
           border: '1px solid var(--border-primary)',
           background: 'var(--graph-bg)',
@@ -363,34 +1422,225 @@ function Graph({
           minHeight: '400px'
         }}
       />
-      <div className="flex gap-2 py-2 justify-end">
-        <button
-          onClick={resetView}
-          className="px-3 py-1.5 text-[13px] rounded cursor-pointer transition-all duration-150 hover:border-slate-400"
-          style={{
-            background: 'var(--bg-tertiary)',
-            border: '1px solid var(--border-secondary)',
-            color: 'var(--text-secondary)'
-          }}
-          title="Reset View"
-        >
-          Reset View
-        </button>
+      {isNewtonMapView && (
+        <NewtonMapView
+          functionExpression={functionExpression}
+          iterations={iterations}
+          visibleIterations={visibleIterations}
+          onElementClick={onElementClick}
+        />
+      )}
+      <div className="flex flex-wrap gap-2 py-2 justify-end items-center">
         <button
-          onClick={zoomToFit}
-          className="px-3 py-1.5 text-[13px] rounded cursor-pointer transition-all duration-150 hover:border-slate-400"
+          onClick={() => setShowNewtonMap(prev => !prev)}
+          disabled={!canShowNewtonMap}
+          className="px-3 py-1.5 text-[13px] rounded cursor-pointer transition-all duration-150 hover:border-slate-400 disabled:opacity-50 disabled:cursor-not-allowed"
           style={{
-            background: 'var(--bg-tertiary)',
+            background: isNewtonMapView ? 'var(--info-bg)' : 'var(--bg-tertiary)',
             border: '1px solid var(--border-secondary)',
             color: 'var(--text-secondary)'
           }}
-          title="Zoom to Fit"
+          title={canShowNewtonMap
+            ? 'Switch to the Newton map N(x) = x − f(x)/f′(x) with the cobweb of the iterates'
+            : 'The Newton map view is for undamped Newton’s method only'}
         >
-          Zoom to Fit
+          {isNewtonMapView ? 'Show f(x)' : 'Newton Map'}
         </button>
+        {!isNewtonMapView && (
+          <>
+            <label
+              className="flex items-center gap-1.5 text-[13px]"
+              style={{ color: 'var(--text-secondary)' }}
+              title={canShowTaylor
+                ? 'Overlay the Taylor polynomial of this degree at each iterate'
+                : 'Taylor models are drawn for tangent-based methods only'}
+            >
+              Taylor order
+              <select
+                value={taylorOrder}
+                onChange={(e) => setTaylorOrder(Number(e.target.value))}
+                disabled={!canShowTaylor}
+                className="px-1.5 py-1 rounded focus:outline-none disabled:opacity-50 disabled:cursor-not-allowed"
+                style={{
+                  background: 'var(--bg-tertiary)',
+                  border: '1px solid var(--border-secondary)',
+                  color: 'var(--text-secondary)'
+                }}
+              >
+                {Array.from({ length: MAX_TAYLOR_ORDER }, (_, i) => i + 1).map(order => (
+                  <option key={order} value={order}>{order === 1 ? '1 (tangent)' : order}</option>
+                ))}
+              </select>
+            </label>
+            <button
+              onClick={() => setShowFirstDerivative(prev => !prev)}
+              disabled={!derivativeFunctions}
+              className="px-3 py-1.5 text-[13px] rounded cursor-pointer transition-all duration-150 hover:border-slate-400 disabled:opacity-50 disabled:cursor-not-allowed"
+              style={{
+                background: showFirstDerivative ? 'var(--info-bg)' : 'var(--bg-tertiary)',
+                border: '1px solid var(--border-secondary)',
+                color: 'var(--text-secondary)'
+              }}
+              title="Plot f′ and mark its zeros, where the tangent is flat and a Newton step is undefined"
+            >
+              f′(x)
+            </button>
+            <button
+              onClick={() => setShowSecondDerivative(prev => !prev)}
+              disabled={!derivativeFunctions}
+              className="px-3 py-1.5 text-[13px] rounded cursor-pointer transition-all duration-150 hover:border-slate-400 disabled:opacity-50 disabled:cursor-not-allowed"
+              style={{
+                background: showSecondDerivative ? 'var(--info-bg)' : 'var(--bg-tertiary)',
+                border: '1px solid var(--border-secondary)',
+                color: 'var(--text-secondary)'
+              }}
+              title="Plot f″ and shade the view by the sign of f·f″ (Fourier’s condition)"
+            >
+              f″(x)
+            </button>
+            <button
+              onClick={() => setShowBasins(prev => !prev)}
+              disabled={!canShowBasins}
+              className="px-3 py-1.5 text-[13px] rounded cursor-pointer transition-all duration-150 hover:border-slate-400 disabled:opacity-50 disabled:cursor-not-allowed"
+              style={{
+                background: showBasins && canShowBasins ? 'var(--info-bg)' : 'var(--bg-tertiary)',
+                border: '1px solid var(--border-secondary)',
+                color: 'var(--text-secondary)'
+              }}
+              title={canShowBasins
+                ? 'Color the x-axis by the root each starting point converges to'
+                : 'Basins are shown for one-point methods only'}
+            >
+              {showBasins && canShowBasins ? 'Hide Basins' : 'Show Basins'}
+            </button>
+            <button
+              onClick={resetView}
+              className="px-3 py-1.5 text-[13px] rounded cursor-pointer transition-all duration-150 hover:border-slate-400"
+              style={{
+                background: 'var(--bg-tertiary)',
+                border: '1px solid var(--border-secondary)',
+                color: 'var(--text-secondary)'
+              }}
+              title="Reset View"
+            >
+              Reset View
+            </button>
+            <button
+              onClick={zoomToFit}
+              className="px-3 py-1.5 text-[13px] rounded cursor-pointer transition-all duration-150 hover:border-slate-400"
+              style={{
+                background: 'var(--bg-tertiary)',
+                border: '1px solid var(--border-secondary)',
+                color: 'var(--text-secondary)'
+              }}
+              title="Zoom to Fit"
+            >
+              Zoom to Fit
+            </button>
+          </>
+        )}
+      </div>
+      {!isNewtonMapView && (showFirstDerivative || showSecondDerivative) && derivativeFunctions && (
+        <div className="flex flex-wrap gap-3 pb-2 justify-end text-xs" style={{ color: 'var(--text-tertiary)' }}>
+          {showFirstDerivative && (
+            <>
+              <span className="flex items-center gap-1.5">
+                <span className="inline-block w-4 h-0.5" style={{ background: DERIVATIVE_COLOR }} />
+                f′(x)
+              </span>
+              <span className="flex items-center gap-1.5">
+                <span className="font-bold" style={{ color: DERIVATIVE_ZERO_COLOR }}>×</span>
+                f′ = 0, Newton breaks down
+              </span>
+            </>
+          )}
+          {showSecondDerivative && (
+            <>
+              <span className="flex items-center gap-1.5">
+                <span className="inline-block w-4 h-0.5" style={{ background: SECOND_DERIVATIVE_COLOR }} />
+                f″(x)
+              </span>
+              <span className="flex items-center gap-1.5">
+                <span className="inline-block w-3 h-3 rounded-sm" style={{ background: FOURIER_HOLDS_COLOR, opacity: 0.3 }} />
+                f·f″ &gt; 0
+              </span>
+              <span className="flex items-center gap-1.5">
+                <span className="inline-block w-3 h-3 rounded-sm" style={{ background: FOURIER_FAILS_COLOR, opacity: 0.3 }} />
+                f·f″ &lt; 0
+              </span>
+            </>
+          )}
+        </div>
+      )}
+      <div className="flex justify-between items-center pt-2 pb-1">
+        <h3 className="m-0 text-sm font-semibold" style={{ color: 'var(--text-secondary)' }}>
+          Convergence (log₁₀ scale)
+        </h3>
+        <div className="flex gap-3 text-xs" style={{ color: 'var(--text-tertiary)' }}>
+          <span className="flex items-center gap-1.5">
+            <span className="inline-block w-3 h-0.5" style={{ background: CHART_F_COLOR }} />
+            {iterations?.[0]?.residual !== undefined ? '|f′(xₙ)|' : '|f(xₙ)|'}
+          </span>
+          <span className="flex items-center gap-1.5">
+            <span className="inline-block w-3 h-0.5" style={{ background: CHART_STEP_COLOR }} />
+            |xₙ₊₁ − xₙ|
+          </span>
+        </div>
       </div>
+      <div
+        id="convergence-chart-board"
+        ref={chartContainerRef}
+        className="graph-board w-full rounded-lg transition-colors duration-300"
+        style={{
+          border: '1px solid var(--border-primary)',
+          background: 'var(--graph-bg)',
+          height: '220px'
+        }}
+      />
     </div>
   );
 }
 
+// Index of a root found earlier within tolerance, adding it if it is new.
+// The tolerance is loose because multiple roots are only found to a few digits
+function findRootIndex(roots, root) {
+  let index = roots.findIndex(r => Math.abs(r - root) < 1e-3 * (1 + Math.abs(r)));
+  if (index === -1) {
+    roots.push(root);
+    index = roots.length - 1;
+  }
+  return index;
+}
+
+// Zeros of f′ between neighbouring samples where it changes sign, refined by bisection.
+// A sign change through a pole is not a zero, so the refined value must be small
+function findDerivativeZeros(fPrime, xs) {
+  const zeros = [];
+  for (let i = 0; i < xs.length - 1; i++) {
+    let [a, b] = [xs[i], xs[i + 1]];
+    let [fa, fb] = [fPrime(a), fPrime(b)];
+    if (!isFinite(fa) || !isFinite(fb) || fa * fb > 0 || fb === 0) continue;
+
+    for (let step = 0; step < 50 && fa !== 0; step++) {
+      const mid = (a + b) / 2;
+      const fm = fPrime(mid);
+      if (fa * fm <= 0) {
+        [b, fb] = [mid, fm];
+      } else {
+        [a, fa] = [mid, fm];
+      }
+    }
+    const x = fa === 0 ? a : (a + b) / 2;
+    if (Math.abs(fPrime(x)) < 1e-6 * Math.max(1, Math.abs(fPrime(xs[i])), Math.abs(fPrime(xs[i + 1])))) {
+      zeros.push(x);
+    }
+  }
+  return zeros;
+}
+
+// Whole multiplicities print as integers, continuous estimates with a few decimals
+function formatMultiplicity(m) {
+  return Number.isInteger(m) ? `${m}` : m.toFixed(3);
+}
+
 export default Graph;
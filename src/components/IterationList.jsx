@@ -1,5 +1,18 @@
-import { useEffect, useRef } from 'react';
-import { getIterationColor, getConvergenceProgress } from '../utils/newton';
+import { useEffect, useRef, useState } from 'react';
+import {
+  getIterationColor,
+  getConvergenceProgress,
+  describeStoppingCriterion,
+  estimateConvergenceOrder,
+  describeConvergenceOrder,
+  countCorrectDigits,
+  classifyCriticalPoint
+} from '../utils/newton';
+import { toBigNumber } from '../utils/mathParser';
+import { formatComplex } from '../utils/complexNewton';
+import { getCertifiedResults, describeIntervalStatus } from '../utils/intervalNewton';
+import { formatInterval } from '../utils/interval';
+import { taylorToLatex } from '../utils/taylor';
 import katex from 'katex';
 import 'katex/dist/katex.min.css';
 
@@ -58,8 +71,247 @@ function mathJsToLatex(expr) {
   return latex;
 }
 
-function IterationList({ iterations, selectedElement, visibleIterations, onToggleIteration, latexExpression }) {
+// An exact Fraction as LaTeX, e.g. -\frac{17}{12}
+function fractionToLatex(value) {
+  const sign = value.s < 0n ? '-' : '';
+  return value.d === 1n ? `${sign}${value.n}` : `${sign}\\frac{${value.n}}{${value.d}}`;
+}
+
+// Short outcome of each interval Newton step for the table
+const INTERVAL_STATUS_LABELS = {
+  start: 'start',
+  excluded: 'no root',
+  tight: 'tight',
+  unresolved: 'undecided',
+  bisected: 'bisected',
+  split: 'split',
+  narrowed: 'narrowed'
+};
+
+// Which way the quadratic model of an optimization step opens
+const QUADRATIC_MODEL_SHAPES = {
+  minimum: '∪ (toward a min)',
+  maximum: '∩ (toward a max)',
+  degenerate: 'flat (f″ = 0)'
+};
+
+// Value columns shown after n, per method (text columns are shown as-is, latex columns through KaTeX).
+// The iterate column is marked so its correct digits can be highlighted.
+function getColumns(method, solverOptions = {}) {
+  if (method === 'bisection') {
+    return [
+      { label: 'aₙ', value: iter => iter.a },
+      { label: 'bₙ', value: iter => iter.b },
+      { label: 'mₙ', value: iter => iter.x, iterate: true },
+      { label: 'f(mₙ)', value: iter => iter.fx },
+      { label: 'width', value: iter => iter.width }
+    ];
+  }
+  if (method === 'hybrid') {
+    return [
+      { label: 'xₙ', value: iter => iter.x, iterate: true },
+      { label: 'f(xₙ)', value: iter => iter.fx },
+      { label: "f'(xₙ)", value: iter => iter.fPrimeX },
+      { label: 'step', value: iter => iter.step, text: true },
+      { label: 'width', value: iter => iter.width }
+    ];
+  }
+  if (method === 'halley' || method === 'householder') {
+    return [
+      { label: 'xₙ', value: iter => iter.x, iterate: true },
+      { label: 'f(xₙ)', value: iter => iter.fx },
+      { label: "f'(xₙ)", value: iter => iter.fPrimeX },
+      { label: "f''(xₙ)", value: iter => iter.fDoublePrimeX },
+      ...(method === 'householder' ? [{ label: "f'''(xₙ)", value: iter => iter.fTriplePrimeX }] : [])
+    ];
+  }
+  if (method === 'modified' || method === 'newton-ratio') {
+    return [
+      { label: 'xₙ', value: iter => iter.x, iterate: true },
+      { label: 'f(xₙ)', value: iter => iter.fx },
+      { label: "f'(xₙ)", value: iter => iter.fPrimeX },
+      { label: 'm est.', value: iter => iter.multiplicityEstimate },
+      { label: 'step ratio', value: iter => iter.stepRatio }
+    ];
+  }
+  if (method === 'steffensen') {
+    return [
+      { label: 'xₙ', value: iter => iter.x, iterate: true },
+      { label: 'f(xₙ)', value: iter => iter.fx },
+      { label: 'xₙ + f(xₙ)', value: iter => iter.auxX },
+      { label: 'slope g(xₙ)', value: iter => iter.slopeEstimate }
+    ];
+  }
+  if (method === 'complex') {
+    return [
+      { label: 'zₙ', value: iter => formatComplex(iter.z), text: true },
+      { label: 'f(zₙ)', value: iter => formatComplex(iter.fz), text: true },
+      { label: '|f(zₙ)|', value: iter => iter.fx }
+    ];
+  }
+  if (method === 'optimize') {
+    return [
+      { label: 'xₙ', value: iter => iter.x, iterate: true },
+      { label: 'f(xₙ)', value: iter => iter.fx },
+      { label: "f'(xₙ)", value: iter => iter.fPrimeX },
+      { label: "f''(xₙ)", value: iter => iter.fDoublePrimeX },
+      { label: 'model', value: iter => QUADRATIC_MODEL_SHAPES[classifyCriticalPoint(iter.fDoublePrimeX)], text: true }
+    ];
+  }
+  if (method === 'system') {
+    return [
+      { label: 'xₙ', value: iter => iter.x, iterate: true },
+      { label: 'yₙ', value: iter => iter.y, iterate: true },
+      { label: 'f₁', value: iter => iter.f1 },
+      { label: 'f₂', value: iter => iter.f2 },
+      { label: '‖F‖', value: iter => iter.fx },
+      { label: 'det J', value: iter => iter.det }
+    ];
+  }
+  if (method === 'interval') {
+    return [
+      { label: 'Xₙ', value: iter => formatInterval(iter.enclosure, 8), text: true },
+      { label: 'width', value: iter => iter.b - iter.a },
+      { label: 'mₙ', value: iter => iter.x, iterate: true },
+      { label: 'f(mₙ)', value: iter => iter.fx },
+      { label: "F'(Xₙ)", value: iter => iter.slopes && formatInterval(iter.slopes, 4), text: true },
+      { label: 'result', value: iter => (iter.proof === 'unique' ? 'unique root' : INTERVAL_STATUS_LABELS[iter.status]), text: true }
+    ];
+  }
+  if (method === 'newton' && solverOptions.exact) {
+    return [
+      { label: 'xₙ', value: iter => fractionToLatex(iter.xExact), latex: true },
+      { label: 'xₙ ≈', value: iter => iter.x.toPrecision(16), text: true, iterate: true },
+      { label: 'digits (num/den)', value: iter => `${iter.xExact.n.toString().length}/${iter.xExact.d.toString().length}`, text: true },
+      { label: 'f(xₙ)', value: iter => iter.fx }
+    ];
+  }
+  if (method === 'newton' && solverOptions.precision) {
+    return [
+      { label: 'xₙ', value: iter => iter.xBig.toString(), text: true, iterate: true },
+      { label: 'f(xₙ)', value: iter => iter.fxBig.toExponential(4), text: true },
+      { label: "f'(xₙ)", value: iter => iter.fPrimeX }
+    ];
+  }
+  if (method === 'newton' && solverOptions.damping) {
+    return [
+      { label: 'xₙ', value: iter => iter.x, iterate: true },
+      { label: 'f(xₙ)', value: iter => iter.fx },
+      { label: "f'(xₙ)", value: iter => iter.fPrimeX },
+      { label: 'λ', value: iter => iter.lambda },
+      { label: 'backtracks', value: iter => iter.backtracks, text: true }
+    ];
+  }
+  return [
+    { label: 'xₙ', value: iter => iter.x, iterate: true },
+    { label: 'f(xₙ)', value: iter => iter.fx },
+    method === 'secant'
+      ? { label: 'slope', value: iter => iter.secantSlope }
+      : { label: "f'(xₙ)", value: iter => iter.fPrimeX }
+  ];
+}
+
+// A step ratio this far below the linear rate (m − 1)/m means convergence is fast again
+const FAST_STEP_RATIO = 0.1;
+
+// Latest multiplicity estimate and step ratio for the modified Newton modes.
+// The estimate is 0/0 exactly at the root, so the last finite one is used.
+function getMultiplicitySummary(iterations) {
+  const withEstimate = iterations.filter(iter => isFinite(iter.multiplicityEstimate));
+  if (withEstimate.length === 0) return null;
+
+  const estimate = withEstimate[withEstimate.length - 1].multiplicityEstimate;
+  const m = Math.max(1, Math.round(estimate));
+  const withRatio = iterations.filter(iter => iter.stepRatio !== undefined);
+
+  return {
+    estimate,
+    m,
+    newtonRate: (m - 1) / m,
+    stepRatio: withRatio.length > 0 ? withRatio[withRatio.length - 1].stepRatio : null
+  };
+}
+
+// Root the iterates are compared against: the one typed in, else the last
+// iterate once the run has converged. BigNumber runs compare at full precision.
+function getReferenceRoot(referenceText, iterations, stopResult, method, solverOptions = {}) {
+  if (method === 'complex' || method === 'system') return null;
+
+  const text = referenceText.trim();
+  if (text !== '') {
+    if (!isFinite(Number(text))) return null;
+    return solverOptions.precision ? toBigNumber(text, solverOptions.precision) : Number(text);
+  }
+  if (stopResult?.converged) {
+    const last = iterations[iterations.length - 1];
+    return last.xBig ?? last.x;
+  }
+  return null;
+}
+
+// Splits a displayed number after its first `count` significant digits
+function splitAtSignificantDigit(text, count) {
+  if (count <= 0) return ['', text];
+
+  let seen = 0;
+  for (let i = 0; i < text.length && text[i] !== 'e'; i++) {
+    if (/[1-9]/.test(text[i]) || (seen > 0 && text[i] === '0')) {
+      seen++;
+      if (seen === count) return [text.slice(0, i + 1), text.slice(i + 1)];
+    }
+  }
+  return [text, ''];
+}
+
+// Final value of each switched-on tolerance test next to its tolerance
+function getStoppingRows(stopResult, stoppingCriteria, method) {
+  return [
+    ['f', method === 'optimize' ? "|f'(xₙ)|" : '|f(xₙ)|', stoppingCriteria.fTolerance],
+    ['step', '|xₙ − xₙ₋₁|', stoppingCriteria.stepTolerance],
+    ['relativeStep', '|xₙ − xₙ₋₁| / |xₙ|', stoppingCriteria.relativeStepTolerance]
+  ]
+    .filter(([, , tolerance]) => tolerance !== null && tolerance !== undefined)
+    .map(([name, label, tolerance]) => ({
+      name,
+      label,
+      tolerance,
+      value: stopResult.values[name],
+      passed: stopResult.values[name] < tolerance
+    }));
+}
+
+function IterationList({ iterations, selectedElement, visibleIterations, onToggleIteration, latexExpression, method, solverOptions, stopResult, stoppingCriteria, diagnostics }) {
+  const [significantFigures, setSignificantFigures] = useState(5);
+  const [referenceText, setReferenceText] = useState('');
+  const convergence = estimateConvergenceOrder(iterations ?? []);
+  const referenceRoot = iterations?.length ? getReferenceRoot(referenceText, iterations, stopResult, method, solverOptions) : null;
+  const comparedDigits = solverOptions?.precision ?? 16;
+  const getCorrectDigits = iter => countCorrectDigits(iter.xBig ?? iter.x, referenceRoot, comparedDigits);
+  // Against a root of zero the count is of zero decimal places, which has no digits to mark
+  const highlightDigits = referenceRoot !== null && Number(referenceRoot) !== 0;
+  // Measured convergence columns follow the method's own columns
+  const columns = [
+    ...getColumns(method, solverOptions),
+    ...(referenceRoot !== null ? [{ label: 'correct digits', value: iter => getCorrectDigits(iter), text: true }] : []),
+    { label: 'eₙ = |xₙ₊₁ − xₙ|', value: (iter, idx) => convergence.steps[idx] },
+    { label: 'qₙ', value: (iter, idx) => convergence.orders[idx] },
+    { label: 'Cₙ = eₙ₊₁/eₙ^q', value: (iter, idx) => convergence.errorConstants[idx] }
+  ];
+  const latestErrorConstant = convergence.errorConstants.filter(c => c !== undefined).pop();
+  const multiplicitySummary = (method === 'modified' || method === 'newton-ratio') && iterations
+    ? getMultiplicitySummary(iterations)
+    : null;
+  const lastIteration = iterations?.[iterations.length - 1];
+  const criticalPoint = method === 'optimize' && stopResult?.converged && lastIteration
+    ? { ...lastIteration, kind: classifyCriticalPoint(lastIteration.fDoublePrimeX) }
+    : null;
+  const certified = method === 'interval' && iterations ? getCertifiedResults(iterations) : null;
+  // Only a search that finished without undecided boxes accounts for every root
+  const searchComplete = certified && stopResult?.fired.includes('resolved') &&
+    !iterations.some(iter => iter.status === 'unresolved');
+
   const selectedElementRef = useRef(null);
+  const tableRef = useRef(null);
 
   // Render KaTeX formulas when selectedElement changes
   useEffect(() => {
@@ -78,6 +330,15 @@ function IterationList({ iterations, selectedElement, visibleIterations, onToggl
     });
   }, [selectedElement, latexExpression]);
 
+  // Render KaTeX cells (exact fractions) when the iterations change
+  useEffect(() => {
+    if (!tableRef.current) return;
+
+    tableRef.current.querySelectorAll('.katex-render').forEach(el => {
+      katex.render(el.getAttribute('data-latex'), el, { throwOnError: false, displayMode: false });
+    });
+  }, [iterations, method, solverOptions]);
+
   const listContainerClasses = "flex flex-col gap-3 p-4 rounded-lg max-h-[calc(100vh-60px)] overflow-y-auto transition-colors duration-300";
   const listContainerStyle = {
     background: 'var(--bg-secondary)',
@@ -136,12 +397,130 @@ function IterationList({ iterations, selectedElement, visibleIterations, onToggl
               <p className="m-0 text-[13px] font-mono" style={{ color: 'var(--accent-primary)' }}>
                 <span className="katex-render" data-latex={`f(x) = ${selectedElement.fx.toFixed(8)}`}></span>
               </p>
+              {selectedElement.fPrimeX !== undefined && (
+                <p className="m-0 text-[13px] font-mono" style={{ color: 'var(--accent-primary)' }}>
+                  <span className="katex-render" data-latex={`f'(x) = ${selectedElement.fPrimeX.toFixed(8)}`}></span>
+                </p>
+              )}
+            </div>
+          )}
+          {selectedElement.type === 'complexPoint' && (
+            <div className="flex flex-col gap-1">
+              <p className="m-0 text-[13px] font-mono" style={{ color: 'var(--accent-primary)' }}>
+                <span className="katex-render" data-latex={`z = ${formatComplex(selectedElement.z, 8)}`}></span>
+              </p>
               <p className="m-0 text-[13px] font-mono" style={{ color: 'var(--accent-primary)' }}>
-                <span className="katex-render" data-latex={`f'(x) = ${selectedElement.fPrimeX.toFixed(8)}`}></span>
+                <span className="katex-render" data-latex={`f(z) = ${formatComplex(selectedElement.fz, 8)}`}></span>
+              </p>
+              <p className="m-0 text-[13px] font-mono" style={{ color: 'var(--accent-primary)' }}>
+                <span className="katex-render" data-latex={`f'(z) = ${formatComplex(selectedElement.fPrimeZ, 8)}`}></span>
+              </p>
+            </div>
+          )}
+          {selectedElement.type === 'quadraticModel' && (
+            <div className="flex flex-col gap-1">
+              <p className="m-0 text-[13px] font-mono" style={{ color: 'var(--accent-primary)' }}>
+                <span className="katex-render" data-latex={`q(t) = ${selectedElement.fx.toFixed(6)} ${selectedElement.fPrimeX < 0 ? '-' : '+'} ${Math.abs(selectedElement.fPrimeX).toFixed(6)}(t - ${selectedElement.center.toFixed(6)}) ${selectedElement.fDoublePrimeX < 0 ? '-' : '+'} ${Math.abs(selectedElement.fDoublePrimeX / 2).toFixed(6)}(t - ${selectedElement.center.toFixed(6)})^2`}></span>
+              </p>
+              <p className="m-0 text-[13px] font-mono" style={{ color: 'var(--accent-primary)' }}>
+                <span className="katex-render" data-latex={`\\text{vertex: } t = ${selectedElement.vertex.x.toFixed(8)}, \\; q = ${selectedElement.vertex.y.toFixed(8)}`}></span>
+              </p>
+              <p className="m-0 text-[13px]" style={{ color: 'var(--text-tertiary)' }}>
+                The vertex of the model is the next iterate.
               </p>
             </div>
           )}
-          {selectedElement.type === 'tangent' && (
+          {selectedElement.type === 'systemPoint' && (
+            <div className="flex flex-col gap-1">
+              <p className="m-0 text-[13px] font-mono" style={{ color: 'var(--accent-primary)' }}>
+                <span className="katex-render" data-latex={`(x, y) = (${selectedElement.x.toFixed(8)}, ${selectedElement.y.toFixed(8)})`}></span>
+              </p>
+              <p className="m-0 text-[13px] font-mono" style={{ color: 'var(--accent-primary)' }}>
+                <span className="katex-render" data-latex={`F = \\begin{pmatrix} ${selectedElement.f1.toExponential(4)} \\\\ ${selectedElement.f2.toExponential(4)} \\end{pmatrix}`}></span>
+              </p>
+              <p className="m-0 text-[13px] font-mono" style={{ color: 'var(--accent-primary)' }}>
+                <span className="katex-render" data-latex={`J = \\begin{pmatrix} ${selectedElement.jacobian.map(row => row.map(v => v.toPrecision(5)).join(' & ')).join(' \\\\ ')} \\end{pmatrix}, \\quad \\det J = ${selectedElement.det.toPrecision(5)}`}></span>
+              </p>
+            </div>
+          )}
+          {selectedElement.type === 'enclosure' && (
+            <div className="flex flex-col gap-1">
+              <p className="m-0 text-[13px] font-mono" style={{ color: 'var(--accent-primary)' }}>
+                <span className="katex-render" data-latex={`X = ${formatInterval(selectedElement.record.enclosure, 12)}`}></span>
+              </p>
+              {selectedElement.record.slopes && (
+                <p className="m-0 text-[13px] font-mono" style={{ color: 'var(--accent-primary)' }}>
+                  <span className="katex-render" data-latex={`F'(X) = ${formatInterval(selectedElement.record.slopes, 6)}`}></span>
+                </p>
+              )}
+              {selectedElement.record.image && (
+                <p className="m-0 text-[13px] font-mono" style={{ color: 'var(--accent-primary)' }}>
+                  <span className="katex-render" data-latex={`N(X) = ${selectedElement.record.image.map(piece => formatInterval(piece, 12)).join(' \\cup ') || '\\emptyset'}`}></span>
+                </p>
+              )}
+              <p className="m-0 text-[13px]" style={{ color: 'var(--text-tertiary)' }}>
+                {describeIntervalStatus(selectedElement.record)}
+              </p>
+            </div>
+          )}
+          {selectedElement.type === 'basin' && (
+            <div className="flex flex-col gap-1">
+              <p className="m-0 text-[13px] font-mono" style={{ color: 'var(--accent-primary)' }}>
+                <span className="katex-render" data-latex={`x_0 \\in [${selectedElement.from.toFixed(4)}, ${selectedElement.to.toFixed(4)}]`}></span>
+              </p>
+              {selectedElement.outcome === 'converged' ? (
+                <p className="m-0 text-[13px] font-mono" style={{ color: 'var(--accent-primary)' }}>
+                  <span className="katex-render" data-latex={`x_n \\to ${selectedElement.root.toFixed(8)}`}></span>
+                </p>
+              ) : (
+                <p className="m-0 text-[13px]" style={{ color: 'var(--text-tertiary)' }}>
+                  {selectedElement.outcome === 'cycle' && 'The iterates fall into a cycle and never settle.'}
+                  {selectedElement.outcome === 'diverged' && 'The iterates run off or fail to settle within 50 steps.'}
+                  {selectedElement.outcome === 'failed' && 'The method breaks down, e.g. at a zero derivative.'}
+                </p>
+              )}
+            </div>
+          )}
+          {selectedElement.type === 'bracket' && (
+            <div className="flex flex-col gap-1">
+              <p className="m-0 text-[13px] font-mono" style={{ color: 'var(--accent-primary)' }}>
+                <span className="katex-render" data-latex={`[a, b] = [${selectedElement.a.toFixed(8)}, ${selectedElement.b.toFixed(8)}]`}></span>
+              </p>
+              <p className="m-0 text-[13px] font-mono" style={{ color: 'var(--accent-primary)' }}>
+                <span className="katex-render" data-latex={`\\text{midpoint} = ${selectedElement.midpoint.toFixed(8)}`}></span>
+              </p>
+              <p className="m-0 text-[13px] font-mono" style={{ color: 'var(--accent-primary)' }}>
+                <span className="katex-render" data-latex={`b - a = ${selectedElement.width.toExponential(4)}`}></span>
+              </p>
+            </div>
+          )}
+          {selectedElement.type === 'damping' && (
+            <div className="flex flex-col gap-1">
+              <p className="m-0 text-[13px] font-mono" style={{ color: 'var(--accent-primary)' }}>
+                <span className="katex-render" data-latex={`\\text{Full Newton target} = ${selectedElement.fullNextX.toFixed(8)}`}></span>
+              </p>
+              <p className="m-0 text-[13px] font-mono" style={{ color: 'var(--accent-primary)' }}>
+                <span className="katex-render" data-latex={`\\text{Accepted point} = ${selectedElement.acceptedX.toFixed(8)}`}></span>
+              </p>
+              <p className="m-0 text-[13px] font-mono" style={{ color: 'var(--accent-primary)' }}>
+                <span className="katex-render" data-latex={`\\lambda = ${selectedElement.lambda} \\text{ after ${selectedElement.backtracks} backtracks}`}></span>
+              </p>
+            </div>
+          )}
+          {selectedElement.type === 'osculating' && (
+            <div className="flex flex-col gap-1">
+              <p className="m-0 text-[13px] font-mono" style={{ color: 'var(--accent-primary)' }}>
+                <span className="katex-render" data-latex={`r(t) = \\frac{${selectedElement.fx.toFixed(4)} + ${selectedElement.p.toFixed(4)}\\,d}{1 + ${selectedElement.q.toFixed(4)}\\,d${selectedElement.s !== 0 ? ` + ${selectedElement.s.toFixed(4)}\\,d^2` : ''}}`}></span>
+              </p>
+              <p className="m-0 text-[13px] font-mono" style={{ color: 'var(--accent-primary)' }}>
+                <span className="katex-render" data-latex={`d = t - ${selectedElement.center.toFixed(6)}`}></span>
+              </p>
+              <p className="m-0 text-[13px] font-mono" style={{ color: 'var(--accent-primary)' }}>
+                <span className="katex-render" data-latex={`\\text{x-intercept} = ${selectedElement.xIntercept.toFixed(8)}`}></span>
+              </p>
+            </div>
+          )}
+          {(selectedElement.type === 'tangent' || selectedElement.type === 'secant') && (
             <div className="flex flex-col gap-1">
               <p className="m-0 text-[13px] font-mono" style={{ color: 'var(--accent-primary)' }}>
                 <span className="katex-render" data-latex={`\\text{Slope} = ${selectedElement.slope.toFixed(6)}`}></span>
@@ -154,18 +533,187 @@ function IterationList({ iterations, selectedElement, visibleIterations, onToggl
               </p>
             </div>
           )}
+          {selectedElement.type === 'derivativeZero' && (
+            <div className="flex flex-col gap-1">
+              <p className="m-0 text-[13px] font-mono" style={{ color: 'var(--accent-primary)' }}>
+                <span className="katex-render" data-latex={`x = ${selectedElement.x.toFixed(8)}, \\quad f(x) = ${selectedElement.fx.toFixed(8)}`}></span>
+              </p>
+              <p className="m-0 text-[13px]" style={{ color: 'var(--text-tertiary)' }}>
+                The tangent is flat here, so a Newton step from this point is undefined and steps from nearby points are thrown far away. Starting close to it ends in the error “Derivative is zero”.
+              </p>
+            </div>
+          )}
+          {selectedElement.type === 'taylor' && (
+            <p className="m-0 text-[13px] font-mono" style={{ color: 'var(--accent-primary)' }}>
+              <span className="katex-render" data-latex={`T_{${selectedElement.coefficients.length - 1}}(t) = ${taylorToLatex(selectedElement.coefficients, selectedElement.center)}`}></span>
+            </p>
+          )}
+          {selectedElement.truncation && (
+            <div className="flex flex-col gap-1 mt-2">
+              <p className="m-0 text-[13px] font-mono" style={{ color: 'var(--accent-primary)' }}>
+                <span className="katex-render" data-latex={`|f(t) - T_{${selectedElement.truncation.order}}(t)| \\le \\frac{M}{${selectedElement.truncation.order + 1}!}\\,|t - x_n|^{${selectedElement.truncation.order + 1}} = ${formatNumber(selectedElement.truncation.bound, 4)}`}></span>
+              </p>
+              <p className="m-0 text-[13px] font-mono" style={{ color: 'var(--accent-primary)' }}>
+                <span className="katex-render" data-latex={`M = \\max |f^{(${selectedElement.truncation.order + 1})}| = ${formatNumber(selectedElement.truncation.maxDerivative, 4)}, \\quad t = ${selectedElement.truncation.at.toFixed(8)}`}></span>
+              </p>
+              <p className="m-0 text-[13px] font-mono" style={{ color: 'var(--accent-primary)' }}>
+                <span className="katex-render" data-latex={`\\text{actual error} = ${formatNumber(selectedElement.truncation.actualError, 4)}`}></span>
+              </p>
+              <p className="m-0 text-[13px]" style={{ color: 'var(--text-tertiary)' }}>
+                {selectedElement.truncation.order === 1
+                  ? 'At the next iterate t the tangent is zero, so |f(t)| is at most this bound. It shrinks with the square of the step, which is why the linear model is so accurate near the root.'
+                  : `Between xₙ and the next iterate t, M is the largest |f^(${selectedElement.truncation.order + 1})| found by sampling. Each extra order multiplies the bound by another factor of |t − xₙ|.`}
+              </p>
+            </div>
+          )}
+        </div>
+      )}
+
+      {diagnostics?.map(diagnosis => (
+        <div
+          key={diagnosis.type}
+          className="p-2.5 rounded-md text-[12px]"
+          style={{ background: 'var(--warning-bg)', border: '1px solid var(--warning-border)', color: 'var(--warning-text)' }}
+        >
+          <p className="m-0 mb-1 font-semibold">⚠ {diagnosis.title}</p>
+          <p className="m-0">{diagnosis.message}</p>
+        </div>
+      ))}
+
+      {certified && (
+        <div className="p-2.5 rounded-md text-[12px]" style={{ background: 'var(--bg-tertiary)', color: 'var(--text-tertiary)' }}>
+          <p className="m-0 mb-1 font-semibold" style={{ color: 'var(--text-secondary)' }}>
+            Certified results
+          </p>
+          {certified.roots.map(root => (
+            <p key={root.lo} className="m-0 font-mono" style={{ color: 'var(--success-text)' }}>
+              ✓ exactly one root in {formatInterval(root, 16)}
+            </p>
+          ))}
+          {certified.excluded.length > 0 && (
+            <p className="m-0" style={{ color: 'var(--error-text)' }}>
+              ✗ no root in {certified.excluded.length} excluded {certified.excluded.length === 1 ? 'box' : 'boxes'}
+              {' '}(total width {formatNumber(certified.excluded.reduce((sum, box) => sum + box.hi - box.lo, 0), significantFigures)})
+            </p>
+          )}
+          {certified.roots.length === 0 && certified.excluded.length === 0 && (
+            <p className="m-0">Nothing proven yet.</p>
+          )}
+          {searchComplete && (
+            <p className="m-0 mt-1 font-semibold" style={{ color: 'var(--text-secondary)' }}>
+              The whole interval has been searched: f has exactly {certified.roots.length} {certified.roots.length === 1 ? 'root' : 'roots'} in [{iterations[0].a}, {iterations[0].b}].
+            </p>
+          )}
+        </div>
+      )}
+
+      {criticalPoint && (
+        <div className="p-2.5 rounded-md text-[12px]" style={{ background: 'var(--bg-tertiary)', color: 'var(--text-tertiary)' }}>
+          <p className="m-0 mb-1 font-semibold" style={{ color: 'var(--text-secondary)' }}>
+            {criticalPoint.kind === 'degenerate' ? 'Critical point found' : `Local ${criticalPoint.kind} found`}
+          </p>
+          <p className="m-0 font-mono">
+            x* = {criticalPoint.x.toPrecision(12)}, f(x*) = {criticalPoint.fx.toPrecision(12)}
+          </p>
+          <p className="m-0">
+            {criticalPoint.kind === 'minimum' && `f″(x*) = ${formatNumber(criticalPoint.fDoublePrimeX, significantFigures)} > 0, so f curves up here.`}
+            {criticalPoint.kind === 'maximum' && `f″(x*) = ${formatNumber(criticalPoint.fDoublePrimeX, significantFigures)} < 0, so f curves down here.`}
+            {criticalPoint.kind === 'degenerate' && 'f″(x*) ≈ 0, so the second-derivative test cannot tell a minimum, a maximum or an inflection point apart.'}
+          </p>
+        </div>
+      )}
+
+      {multiplicitySummary && (
+        <div className="p-2.5 rounded-md text-[12px]" style={{ background: 'var(--bg-tertiary)', color: 'var(--text-tertiary)' }}>
+          <p className="m-0 mb-1 font-semibold" style={{ color: 'var(--text-secondary)' }}>
+            Detected multiplicity: m = {multiplicitySummary.m}
+            <span className="font-normal font-mono"> (estimate {multiplicitySummary.estimate.toFixed(4)})</span>
+          </p>
+          {multiplicitySummary.m > 1 ? (
+            <p className="m-0">
+              Plain Newton would only converge linearly here, shrinking each step by about (m − 1)/m = {multiplicitySummary.newtonRate.toFixed(3)}.
+              {multiplicitySummary.stepRatio !== null && (
+                <>
+                  {' '}The latest step ratio is <span className="font-mono">{formatNumber(multiplicitySummary.stepRatio, significantFigures)}</span>
+                  {multiplicitySummary.stepRatio < FAST_STEP_RATIO && ', so fast convergence is restored.'}
+                  {multiplicitySummary.stepRatio >= 1 && ', so the steps are not shrinking.'}
+                  {multiplicitySummary.stepRatio >= FAST_STEP_RATIO && multiplicitySummary.stepRatio < 1 && '.'}
+                </>
+              )}
+            </p>
+          ) : (
+            <p className="m-0">The root looks simple, so the update is the same as plain Newton.</p>
+          )}
+        </div>
+      )}
+
+      {stopResult?.stop && stoppingCriteria && (
+        <div className="p-2.5 rounded-md text-[12px]" style={{ background: 'var(--bg-tertiary)', color: 'var(--text-tertiary)' }}>
+          <p className="m-0 mb-1 font-semibold" style={{ color: 'var(--text-secondary)' }}>
+            {stopResult.converged ? 'Converged' : 'Stopped'} at n = {iterations.length - 1} by{' '}
+            {stopResult.fired.map(name => describeStoppingCriterion(name, stoppingCriteria)).join(stoppingCriteria.combine === 'and' ? ' and ' : ', ')}
+          </p>
+          {method !== 'interval' && getStoppingRows(stopResult, stoppingCriteria, method).map(row => (
+            <p key={row.name} className="m-0 font-mono">
+              {row.passed ? '✓' : '✗'} {row.label} = {row.value.toExponential(3)} (tol {row.tolerance})
+            </p>
+          ))}
+          {stoppingCriteria.maxIterations && (
+            <p className="m-0 font-mono">
+              {stopResult.values.iterations}/{stoppingCriteria.maxIterations} iterations used
+            </p>
+          )}
         </div>
       )}
 
+      {convergence.observedOrder !== null && (
+        <p className="m-0 text-[12px]" style={{ color: 'var(--text-secondary)' }}>
+          Observed order ≈ <span className="font-mono font-semibold">{convergence.observedOrder.toFixed(2)}</span>{' '}
+          ({describeConvergenceOrder(convergence.observedOrder)})
+          {latestErrorConstant !== undefined && (
+            <>, error constant C ≈ <span className="font-mono">{formatNumber(latestErrorConstant, significantFigures)}</span></>
+          )}
+        </p>
+      )}
+
+      <div className="flex flex-wrap items-center gap-3 text-[11px]" style={{ color: 'var(--text-tertiary)' }}>
+        <label className="flex items-center gap-1.5">
+          Significant figures:
+          <select
+            value={significantFigures}
+            onChange={(e) => setSignificantFigures(Number(e.target.value))}
+            className="px-1.5 py-0.5 rounded focus:outline-none"
+            style={{ border: '1px solid var(--border-secondary)', background: 'var(--bg-tertiary)', color: 'var(--text-primary)' }}
+          >
+            {[3, 4, 5, 6, 8, 10, 12, 14, 16].map(figures => (
+              <option key={figures} value={figures}>{figures}</option>
+            ))}
+          </select>
+        </label>
+        {method !== 'complex' && method !== 'system' && (
+          <label className="flex items-center gap-1.5">
+            Reference root:
+            <input
+              type="text"
+              value={referenceText}
+              onChange={(e) => setReferenceText(e.target.value)}
+              placeholder="last iterate once converged"
+              className="w-40 px-1.5 py-0.5 font-mono rounded focus:outline-none"
+              style={{ border: '1px solid var(--border-secondary)', background: 'var(--bg-tertiary)', color: 'var(--text-primary)' }}
+            />
+          </label>
+        )}
+      </div>
+
       <div className="overflow-x-auto">
-        <table className="w-full border-collapse text-[11px]">
+        <table ref={tableRef} className="w-full border-collapse text-[11px]">
           <thead>
             <tr>
               <th className="px-2 py-1.5 text-left font-semibold border-b-2" style={{ color: 'var(--text-secondary)', background: 'var(--bg-tertiary)', borderColor: 'var(--border-primary)' }}></th>
               <th className="px-2 py-1.5 text-left font-semibold border-b-2" style={{ color: 'var(--text-secondary)', background: 'var(--bg-tertiary)', borderColor: 'var(--border-primary)' }}>n</th>
-              <th className="px-2 py-1.5 text-left font-semibold border-b-2" style={{ color: 'var(--text-secondary)', background: 'var(--bg-tertiary)', borderColor: 'var(--border-primary)' }}>xₙ</th>
-              <th className="px-2 py-1.5 text-left font-semibold border-b-2" style={{ color: 'var(--text-secondary)', background: 'var(--bg-tertiary)', borderColor: 'var(--border-primary)' }}>f(xₙ)</th>
-              <th className="px-2 py-1.5 text-left font-semibold border-b-2" style={{ color: 'var(--text-secondary)', background: 'var(--bg-tertiary)', borderColor: 'var(--border-primary)' }}>f'(xₙ)</th>
+              {columns.map(column => (
+                <th key={column.label} className="px-2 py-1.5 text-left font-semibold border-b-2" style={{ color: 'var(--text-secondary)', background: 'var(--bg-tertiary)', borderColor: 'var(--border-primary)' }}>{column.label}</th>
+              ))}
             </tr>
           </thead>
           <tbody>
@@ -173,11 +721,18 @@ function IterationList({ iterations, selectedElement, visibleIterations, onToggl
               const isVisible = visibleIterations?.has(idx) ?? true;
               const initialFx = iterations[0]?.fx ?? 1;
               const color = getIterationColor(iter.fx, initialFx);
+              const isSelected = selectedElement?.index === idx;
+              let rowBackground = 'transparent';
+              if (isSelected) {
+                rowBackground = 'var(--selection-bg)';
+              } else if (!isVisible) {
+                rowBackground = 'var(--bg-tertiary)';
+              }
               return (
                 <tr
                   key={idx}
                   className={`cursor-pointer transition-colors duration-150 hover:opacity-80 ${!isVisible ? 'opacity-50' : ''}`}
-                  style={{ background: !isVisible ? 'var(--bg-tertiary)' : 'transparent' }}
+                  style={{ background: rowBackground }}
                   onClick={() => onToggleIteration?.(idx)}
                 >
                   <td className="w-6 text-center p-1 border-b" style={{ borderColor: 'var(--border-primary)' }}>
@@ -192,11 +747,30 @@ function IterationList({ iterations, selectedElement, visibleIterations, onToggl
                         style={{ backgroundColor: color }}
                       />
                       {idx}
+                      {stopResult?.stop && idx === iterations.length - 1 && (
+                        <span className="text-[10px] font-normal" style={{ color: 'var(--text-muted)' }} title="The stopping criteria fired here">stop</span>
+                      )}
                     </div>
                   </td>
-                  <td className="px-2 py-1 border-b font-mono" style={{ borderColor: 'var(--border-primary)', color: 'var(--text-tertiary)' }}>{formatNumber(iter.x)}</td>
-                  <td className="px-2 py-1 border-b font-mono" style={{ borderColor: 'var(--border-primary)', color: 'var(--text-tertiary)' }}>{formatNumber(iter.fx)}</td>
-                  <td className="px-2 py-1 border-b font-mono" style={{ borderColor: 'var(--border-primary)', color: 'var(--text-tertiary)' }}>{formatNumber(iter.fPrimeX)}</td>
+                  {columns.map(column => {
+                    if (column.latex) {
+                      return (
+                        <td key={column.label} className="px-2 py-1 border-b font-mono" style={{ borderColor: 'var(--border-primary)', color: 'var(--text-tertiary)' }}>
+                          <span className="katex-render" data-latex={column.value(iter, idx)}></span>
+                        </td>
+                      );
+                    }
+                    const text = column.text ? (column.value(iter, idx) ?? '—') : formatNumber(column.value(iter, idx), significantFigures);
+                    const [correct, rest] = column.iterate && highlightDigits
+                      ? splitAtSignificantDigit(text, getCorrectDigits(iter))
+                      : ['', text];
+                    return (
+                      <td key={column.label} className="px-2 py-1 border-b font-mono" style={{ borderColor: 'var(--border-primary)', color: 'var(--text-tertiary)' }}>
+                        {correct && <span className="font-bold" style={{ color: 'var(--success-text)' }}>{correct}</span>}
+                        <span style={column.iterate && highlightDigits ? { color: 'var(--text-muted)' } : undefined}>{rest}</span>
+                      </td>
+                    );
+                  })}
                 </tr>
               );
             })}
@@ -245,12 +819,13 @@ function IterationList({ iterations, selectedElement, visibleIterations, onToggl
   );
 }
 
-function formatNumber(num) {
+function formatNumber(num, significantFigures = 5) {
+  if (num === undefined) return '—';
   if (!isFinite(num)) return 'undefined';
-  if (Math.abs(num) < 0.0001 || Math.abs(num) > 10000) {
-    return num.toExponential(2);
+  if (num !== 0 && (Math.abs(num) < 0.0001 || Math.abs(num) > 10000)) {
+    return num.toExponential(significantFigures - 1);
   }
-  return num.toFixed(4);
+  return num.toPrecision(significantFigures);
 }
 
 export default IterationList;
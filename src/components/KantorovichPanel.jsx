@@ -0,0 +1,94 @@
+import { useEffect, useRef } from 'react';
+import katex from 'katex';
+import 'katex/dist/katex.min.css';
+
+function formatConstant(value) {
+  if (value === null || value === undefined) return '—';
+  if (!isFinite(value)) return '\\infty';
+  if (value !== 0 && (Math.abs(value) < 0.0001 || Math.abs(value) > 10000)) {
+    const [mantissa, exponent] = value.toExponential(3).split('e');
+    return `${mantissa} \\times 10^{${Number(exponent)}}`;
+  }
+  return value.toPrecision(5);
+}
+
+function KantorovichPanel({ analysis }) {
+  const panelRef = useRef(null);
+
+  // Render KaTeX formulas when the analysis changes
+  useEffect(() => {
+    if (!panelRef.current) return;
+
+    panelRef.current.querySelectorAll('.katex-render').forEach(el => {
+      katex.render(el.getAttribute('data-latex'), el, { throwOnError: false, displayMode: false });
+    });
+  }, [analysis]);
+
+  if (!analysis) return null;
+
+  const { x0, error, beta, eta, lipschitz, lipschitzMethod, neighborhood, h, guaranteed, quadratic, radius, uniquenessRadius } = analysis;
+  let verdict = 'The Kantorovich condition fails, so the theorem gives no guarantee from this x₀ (Newton may still converge).';
+  if (guaranteed && eta === 0) {
+    verdict = 'x₀ is already a root.';
+  } else if (quadratic) {
+    verdict = 'Newton’s method is guaranteed to converge quadratically from this x₀.';
+  } else if (guaranteed) {
+    verdict = 'h = 1/2 exactly: convergence is guaranteed, but only linearly.';
+  }
+
+  return (
+    <div
+      ref={panelRef}
+      className="flex flex-col gap-2 mt-4 p-4 rounded-lg text-[13px]"
+      style={{ background: 'var(--bg-secondary)', border: '1px solid var(--border-primary)', color: 'var(--text-tertiary)' }}
+    >
+      <h3 className="m-0 text-sm font-semibold" style={{ color: 'var(--text-secondary)' }}>
+        Kantorovich check at x₀ = {x0}
+      </h3>
+      {error ? (
+        <p className="m-0">{error}</p>
+      ) : (
+        <>
+          <p className="m-0">
+            <span className="katex-render" data-latex={`\\beta = \\frac{1}{|f'(x_0)|} = ${formatConstant(beta)}, \\quad \\eta = \\left|\\frac{f(x_0)}{f'(x_0)}\\right| = ${formatConstant(eta)}`}></span>
+          </p>
+          {lipschitz !== null && (
+            <p className="m-0">
+              <span className="katex-render" data-latex={`L = \\max |f''| = ${formatConstant(lipschitz)} \\text{ on } [${formatConstant(neighborhood.lo)}, ${formatConstant(neighborhood.hi)}]`}></span>
+              <span className="text-xs" style={{ color: 'var(--text-muted)' }}>
+                {lipschitzMethod === 'interval' ? ' (bounded with interval arithmetic)' : ' (estimated by sampling)'}
+              </span>
+            </p>
+          )}
+          <p className="m-0">
+            <span className="katex-render" data-latex={`h = \\beta L \\eta = ${formatConstant(h)} ${h <= 0.5 ? '\\le' : '>'} \\tfrac{1}{2}`}></span>
+          </p>
+          <p
+            className="m-0 p-2 rounded-md font-semibold"
+            style={guaranteed
+              ? { background: 'var(--success-bg)', border: '1px solid var(--success-border)', color: 'var(--success-text)' }
+              : { background: 'var(--warning-bg)', border: '1px solid var(--warning-border)', color: 'var(--warning-text)' }}
+          >
+            {guaranteed ? '✓ ' : '✗ '}{verdict}
+          </p>
+          {guaranteed && eta > 0 && (
+            <p className="m-0">
+              A root lies in <span className="katex-render" data-latex={`|x - x_0| \\le r^* = ${formatConstant(radius)}`}></span>
+              {uniquenessRadius !== null && (
+                <>, and it is the only root in <span className="katex-render" data-latex={`|x - x_0| < ${formatConstant(uniquenessRadius)}`}></span></>
+              )}
+              . The ball is drawn on the x-axis.
+            </p>
+          )}
+          {lipschitzMethod === 'sampled' && (
+            <p className="m-0 text-xs" style={{ color: 'var(--text-muted)' }}>
+              Sampling can miss a spike in f″, so this verdict is an estimate rather than a proof.
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default KantorovichPanel;
@@ -0,0 +1,335 @@
+import { useEffect, useRef, useCallback } from 'react';
+import JXG from 'jsxgraph';
+import { createNewtonMap, getIterationColor } from '../utils/newton';
+
+const DEFAULT_BOUNDING_BOX = [-5, 5, 5, -5];
+const NEWTON_MAP_COLOR = '#7c3aed';
+const DIAGONAL_COLOR = '#64748b';
+const COBWEB_COLOR = '#f59e0b';
+// Contraction regions |N′(x)| < 1: sampled across the visible range and shaded as bands
+const CONTRACTION_SAMPLES = 400;
+const CONTRACTION_COLOR = '#16a34a';
+
+function NewtonMapView({
+  functionExpression,
+  iterations,
+  visibleIterations,
+  onElementClick
+}) {
+  const containerRef = useRef(null);
+  const boardRef = useRef(null);
+  const mapRef = useRef(null);
+  const mapElementsRef = useRef([]);
+  const contractionElementsRef = useRef([]);
+  const iterationElementsRef = useRef([]);
+
+  // Initialize the board
+  useEffect(() => {
+    if (!containerRef.current) return;
+
+    const board = JXG.JSXGraph.initBoard(containerRef.current.id, {
+      boundingbox: DEFAULT_BOUNDING_BOX,
+      axis: true,
+      grid: true,
+      showNavigation: true,
+      showCopyright: false,
+      pan: {
+        enabled: true,
+        needTwoFingers: false,
+        needShift: false
+      },
+      zoom: {
+        wheel: true,
+        needShift: false,
+        min: 0.001,
+        max: 1000
+      },
+      keepAspectRatio: true
+    });
+
+    boardRef.current = board;
+
+    return () => {
+      JXG.JSXGraph.freeBoard(board);
+      boardRef.current = null;
+    };
+  }, []);
+
+  // Draw N(x), the line y = x and the contraction bands for a new function
+  useEffect(() => {
+    const board = boardRef.current;
+    if (!board) return;
+
+    const removeAll = (elementsRef) => {
+      elementsRef.current.forEach(element => {
+        if (board.objects[element.id]) {
+          board.removeObject(element);
+        }
+      });
+      elementsRef.current = [];
+    };
+    removeAll(mapElementsRef);
+    removeAll(contractionElementsRef);
+    mapRef.current = null;
+
+    if (!functionExpression) return;
+
+    let newtonMap;
+    try {
+      newtonMap = createNewtonMap(functionExpression);
+    } catch {
+      return;
+    }
+    mapRef.current = newtonMap;
+
+    const drawContraction = () => {
+      removeAll(contractionElementsRef);
+
+      const [xMin, , xMax] = board.getBoundingBox();
+      const dx = (xMax - xMin) / CONTRACTION_SAMPLES;
+      const runs = [];
+      let open = null;
+
+      for (let i = 0; i < CONTRACTION_SAMPLES; i++) {
+        const x = xMin + (i + 0.5) * dx;
+        if (Math.abs(newtonMap.derivative(x)) < 1) {
+          if (!open) {
+            open = { from: xMin + i * dx, to: xMin + (i + 1) * dx };
+            runs.push(open);
+          } else {
+            open.to = xMin + (i + 1) * dx;
+          }
+        } else {
+          open = null;
+        }
+      }
+
+      contractionElementsRef.current = runs.map(run => {
+        const band = board.create('curve', [[], []], {
+          fillColor: CONTRACTION_COLOR,
+          fillOpacity: 0.1,
+          strokeWidth: 0,
+          layer: 0,
+          highlight: false,
+          fixed: true
+        });
+        // Full height of the view, whatever the vertical pan
+        band.updateDataArray = function () {
+          const [, top, , bottom] = board.getBoundingBox();
+          this.dataX = [run.from, run.to, run.to, run.from, run.from];
+          this.dataY = [top, top, bottom, bottom, top];
+        };
+        return band;
+      });
+
+      board.update();
+    };
+
+    mapElementsRef.current = [
+      board.create('functiongraph', [(x) => x], {
+        strokeColor: DIAGONAL_COLOR,
+        strokeWidth: 1.5,
+        dash: 2,
+        highlight: false,
+        fixed: true
+      }),
+      board.create('functiongraph', [(x) => {
+        const y = newtonMap.map(x);
+        return isFinite(y) ? y : NaN;
+      }], {
+        strokeColor: NEWTON_MAP_COLOR,
+        strokeWidth: 2,
+        highlight: false,
+        fixed: true
+      })
+    ];
+
+    drawContraction();
+
+    // Resample once panning or zooming settles
+    let debounce = null;
+    const handleBoundingBox = () => {
+      clearTimeout(debounce);
+      debounce = setTimeout(drawContraction, 150);
+    };
+    board.on('boundingbox', handleBoundingBox);
+
+    return () => {
+      clearTimeout(debounce);
+      board.off('boundingbox', handleBoundingBox);
+    };
+  }, [functionExpression]);
+
+  // Draw the cobweb: up or down from (xₙ, xₙ) to the graph of N, then across to the diagonal
+  useEffect(() => {
+    const board = boardRef.current;
+    if (!board) return;
+
+    iterationElementsRef.current.forEach(element => {
+      if (element && board.objects[element.id]) {
+        board.removeObject(element);
+      }
+    });
+    iterationElementsRef.current = [];
+
+    if (!iterations || iterations.length === 0) return;
+
+    const initialFx = iterations[0]?.fx ?? 1;
+    const newElements = [];
+
+    iterations.forEach((iter, idx) => {
+      const isVisible = visibleIterations?.has(idx) ?? true;
+      if (!isVisible) return;
+
+      const color = getIterationColor(iter.fx, initialFx);
+      const next = iterations[idx + 1];
+
+      if (next) {
+        newElements.push(board.create('curve', [
+          [iter.x, iter.x, next.x],
+          [iter.x, next.x, next.x]
+        ], {
+          strokeColor: COBWEB_COLOR,
+          strokeWidth: 2,
+          highlight: false,
+          fixed: true
+        }));
+        newElements.push(board.create('point', [iter.x, next.x], {
+          size: 2,
+          fillColor: NEWTON_MAP_COLOR,
+          strokeColor: NEWTON_MAP_COLOR,
+          withLabel: false,
+          highlight: false,
+          fixed: true
+        }));
+      }
+
+      const point = board.create('point', [iter.x, iter.x], {
+        name: `x${idx}`,
+        size: idx === 0 ? 6 : 4,
+        fillColor: idx === 0 ? '#ef4444' : color,
+        strokeColor: '#000000',
+        strokeWidth: 1,
+        withLabel: true,
+        fixed: true,
+        label: {
+          offset: [8, -12],
+          fontSize: 13,
+          fontWeight: 'bold',
+          color: '#000000',
+          useMathJax: false,
+          cssStyle: 'background: rgba(255,255,255,0.85); padding: 1px 4px; border-radius: 3px; border: 1px solid ' + color
+        }
+      });
+      newElements.push(point);
+
+      point.on('down', () => {
+        if (onElementClick) {
+          onElementClick({
+            type: 'point',
+            name: `Iteration ${idx}`,
+            x: iter.x,
+            fx: iter.fx,
+            fPrimeX: iter.fPrimeX
+          });
+        }
+      });
+    });
+
+    iterationElementsRef.current = newElements;
+  }, [iterations, visibleIterations, onElementClick]);
+
+  const resetView = useCallback(() => {
+    if (boardRef.current) {
+      boardRef.current.setBoundingBox(DEFAULT_BOUNDING_BOX, true);
+    }
+  }, []);
+
+  // Frame the iterates on the diagonal, which keeps the view square
+  const zoomToFit = useCallback(() => {
+    if (!boardRef.current || !iterations || iterations.length === 0) return;
+
+    const xValues = iterations.map(i => i.x).filter(x => isFinite(x));
+    if (xValues.length === 0) {
+      resetView();
+      return;
+    }
+
+    const min = Math.min(...xValues) - 1;
+    const max = Math.max(...xValues) + 1;
+    boardRef.current.setBoundingBox([min, max, max, min], true);
+  }, [iterations, resetView]);
+
+  return (
+    <div className="relative w-full flex flex-col">
+      <div className="flex justify-between items-center pb-2">
+        <h3 className="m-0 text-sm font-semibold" style={{ color: 'var(--text-secondary)' }}>
+          The Newton map N(x) = x − f(x)/f′(x) and its cobweb
+        </h3>
+        <span className="text-xs" style={{ color: 'var(--text-muted)' }}>
+          Fixed points of N are roots of f
+        </span>
+      </div>
+      <div
+        id="newton-map-board"
+        ref={containerRef}
+        className="graph-board w-full rounded-lg transition-colors duration-300"
+        style={{
+          border: '1px solid var(--border-primary)',
+          background: 'var(--graph-bg)',
+          aspectRatio: '1 / 1',
+          maxHeight: 'calc(100vh - 120px)',
+          minHeight: '400px'
+        }}
+      />
+      <div className="flex gap-2 py-2 justify-between items-start">
+        <div className="flex flex-wrap gap-3 text-xs" style={{ color: 'var(--text-tertiary)' }}>
+          <span className="flex items-center gap-1.5">
+            <span className="inline-block w-4 h-0.5" style={{ background: NEWTON_MAP_COLOR }} />
+            y = N(x)
+          </span>
+          <span className="flex items-center gap-1.5">
+            <span className="inline-block w-4 border-t-2 border-dashed" style={{ borderColor: DIAGONAL_COLOR }} />
+            y = x
+          </span>
+          <span className="flex items-center gap-1.5">
+            <span className="inline-block w-4 h-0.5" style={{ background: COBWEB_COLOR }} />
+            cobweb path
+          </span>
+          <span className="flex items-center gap-1.5">
+            <span className="inline-block w-3 h-3 rounded-sm" style={{ background: CONTRACTION_COLOR, opacity: 0.3 }} />
+            |N′(x)| &lt; 1 (contracting)
+          </span>
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={resetView}
+            className="px-3 py-1.5 text-[13px] rounded cursor-pointer transition-all duration-150 hover:border-slate-400"
+            style={{
+              background: 'var(--bg-tertiary)',
+              border: '1px solid var(--border-secondary)',
+              color: 'var(--text-secondary)'
+            }}
+            title="Reset View"
+          >
+            Reset View
+          </button>
+          <button
+            onClick={zoomToFit}
+            className="px-3 py-1.5 text-[13px] rounded cursor-pointer transition-all duration-150 hover:border-slate-400"
+            style={{
+              background: 'var(--bg-tertiary)',
+              border: '1px solid var(--border-secondary)',
+              color: 'var(--text-secondary)'
+            }}
+            title="Zoom to Fit"
+          >
+            Zoom to Fit
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default NewtonMapView;
@@ -0,0 +1,153 @@
+import { useEffect, useRef, useState } from 'react';
+import katex from 'katex';
+import 'katex/dist/katex.min.css';
+import { cauchyBound, countRealRoots, evaluatePolynomial, polynomialToLatex } from '../utils/polynomial';
+
+const ROOT_METHODS = [
+  { id: 'aberth', label: 'Aberth (simultaneous)' },
+  { id: 'deflation', label: 'Newton + deflation' }
+];
+
+function formatPart(value) {
+  return Math.abs(value) < 1e-300 ? '0' : value.toPrecision(10);
+}
+
+function PolynomialPanel({ polynomial, onMethodChange }) {
+  const panelRef = useRef(null);
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+
+  // Render KaTeX formulas when the polynomial changes
+  useEffect(() => {
+    if (!panelRef.current) return;
+
+    panelRef.current.querySelectorAll('.katex-render').forEach(el => {
+      katex.render(el.getAttribute('data-latex'), el, { throwOnError: false, displayMode: false });
+    });
+  }, [polynomial]);
+
+  if (!polynomial) return null;
+
+  const { coefficients, roots, iterations, converged, method } = polynomial;
+  const degree = coefficients.length - 1;
+  const leading = coefficients[0];
+  const normalized = coefficients.map(c => c / leading);
+  const realCount = roots.filter(z => z.im === 0).length;
+
+  // Empty bounds fall back to Cauchy's bound, which encloses every root
+  const bound = cauchyBound(coefficients);
+  const lo = from.trim() === '' ? -bound : Number(from);
+  const hi = to.trim() === '' ? bound : Number(to);
+  let sturm = null;
+  if (!isFinite(lo) || !isFinite(hi)) {
+    sturm = { error: 'The interval bounds must be numbers' };
+  } else if (!(lo < hi)) {
+    sturm = { error: 'The interval needs a < b' };
+  } else {
+    sturm = { count: countRealRoots(coefficients, lo, hi) };
+  }
+
+  const inputStyle = {
+    border: '1px solid var(--border-secondary)',
+    background: 'var(--bg-tertiary)',
+    color: 'var(--text-primary)'
+  };
+  const headerStyle = { color: 'var(--text-secondary)', background: 'var(--bg-tertiary)', borderColor: 'var(--border-primary)' };
+  const cellStyle = { borderColor: 'var(--border-primary)', color: 'var(--text-tertiary)' };
+
+  return (
+    <div
+      ref={panelRef}
+      className="flex flex-col gap-2 mt-4 p-4 rounded-lg text-[13px]"
+      style={{ background: 'var(--bg-secondary)', border: '1px solid var(--border-primary)', color: 'var(--text-tertiary)' }}
+    >
+      <div className="flex flex-wrap items-center gap-2">
+        <h3 className="m-0 mr-auto text-sm font-semibold" style={{ color: 'var(--text-secondary)' }}>
+          Polynomial of degree {degree}
+        </h3>
+        <label className="flex items-center gap-1.5 text-xs">
+          Roots by
+          <select
+            value={method}
+            onChange={(e) => onMethodChange(e.target.value)}
+            className="px-1.5 py-0.5 rounded focus:outline-none"
+            style={inputStyle}
+          >
+            {ROOT_METHODS.map(m => (
+              <option key={m.id} value={m.id}>{m.label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <p className="m-0">
+        <span className="katex-render" data-latex={`p(x) = ${leading === 1 ? '' : `${Number(leading.toPrecision(6))}\\left(`}${polynomialToLatex(normalized)}${leading === 1 ? '' : '\\right)'}`}></span>
+      </p>
+      <p className="m-0 text-xs font-mono" style={{ color: 'var(--text-muted)' }}>
+        normalized coefficients: [{normalized.map(c => Number(c.toPrecision(8))).join(', ')}]
+      </p>
+
+      <p className="m-0 text-xs" style={{ color: 'var(--text-muted)' }}>
+        {degree} complex roots ({realCount} real, counted with multiplicity) found in {iterations} {method === 'aberth' ? 'sweeps' : 'Newton steps'}
+        {!converged && ', stopped before every root settled'}. Real roots are circled on the x-axis.
+      </p>
+      <table className="w-full border-collapse text-[11px]">
+        <thead>
+          <tr>
+            {['', 'Re z', 'Im z', '|p(z)|'].map(label => (
+              <th key={label} className="px-2 py-1.5 text-left font-semibold border-b-2" style={headerStyle}>{label}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {roots.map((z, idx) => (
+            <tr key={idx}>
+              <td className="px-2 py-1 border-b font-semibold" style={{ ...cellStyle, color: 'var(--text-secondary)' }}>z{idx + 1}</td>
+              <td className="px-2 py-1 border-b font-mono" style={cellStyle}>{formatPart(z.re)}</td>
+              <td className="px-2 py-1 border-b font-mono" style={cellStyle}>{z.im === 0 ? '0 (real)' : formatPart(z.im)}</td>
+              <td className="px-2 py-1 border-b font-mono" style={cellStyle}>{evaluatePolynomial(coefficients, z).abs().toExponential(2)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="flex flex-wrap items-center gap-2 text-xs">
+        <span className="font-semibold" style={{ color: 'var(--text-secondary)' }}>Sturm count on (a, b]:</span>
+        <label className="flex items-center gap-1.5">
+          a
+          <input
+            type="text"
+            value={from}
+            onChange={(e) => setFrom(e.target.value)}
+            placeholder={(-bound).toPrecision(4)}
+            className="w-20 px-1.5 py-0.5 font-mono rounded focus:outline-none"
+            style={inputStyle}
+          />
+        </label>
+        <label className="flex items-center gap-1.5">
+          b
+          <input
+            type="text"
+            value={to}
+            onChange={(e) => setTo(e.target.value)}
+            placeholder={bound.toPrecision(4)}
+            className="w-20 px-1.5 py-0.5 font-mono rounded focus:outline-none"
+            style={inputStyle}
+          />
+        </label>
+        {sturm.error ? (
+          <span style={{ color: 'var(--error-text)' }}>{sturm.error}</span>
+        ) : (
+          <span>
+            <strong style={{ color: 'var(--text-secondary)' }}>{sturm.count}</strong> distinct real {sturm.count === 1 ? 'root' : 'roots'}
+          </span>
+        )}
+      </div>
+      <p className="m-0 text-xs" style={{ color: 'var(--text-muted)' }}>
+        Sturm counts each real root once, whatever its multiplicity. Without bounds the interval is Cauchy’s bound, which holds every root.
+      </p>
+    </div>
+  );
+}
+
+export default PolynomialPanel;
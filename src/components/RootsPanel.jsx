@@ -0,0 +1,133 @@
+import { useState } from 'react';
+import { getRootHue } from '../utils/newton';
+
+// Starting points listed per root before the rest are summarized
+const MAX_LISTED_STARTS = 3;
+
+function RootsPanel({ rootsResult, onFindRoots, onTraceRoot, onClear }) {
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [error, setError] = useState('');
+
+  const handleFind = () => {
+    // Empty bounds fall back to the visible part of the graph
+    const lo = from.trim() === '' ? null : Number(from);
+    const hi = to.trim() === '' ? null : Number(to);
+    if ((lo !== null && !isFinite(lo)) || (hi !== null && !isFinite(hi))) {
+      setError('The interval bounds must be numbers');
+      return;
+    }
+    setError('');
+    try {
+      onFindRoots(lo, hi);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const inputStyle = {
+    border: '1px solid var(--border-secondary)',
+    background: 'var(--bg-tertiary)',
+    color: 'var(--text-primary)'
+  };
+
+  return (
+    <div
+      className="flex flex-col gap-2 mt-4 p-4 rounded-lg text-[13px]"
+      style={{ background: 'var(--bg-secondary)', border: '1px solid var(--border-primary)', color: 'var(--text-tertiary)' }}
+    >
+      <div className="flex flex-wrap items-center gap-2">
+        <h3 className="m-0 mr-auto text-sm font-semibold" style={{ color: 'var(--text-secondary)' }}>
+          All real roots
+        </h3>
+        <label className="flex items-center gap-1.5 text-xs">
+          from
+          <input
+            type="text"
+            value={from}
+            onChange={(e) => setFrom(e.target.value)}
+            placeholder="visible"
+            className="w-20 px-1.5 py-0.5 font-mono rounded focus:outline-none"
+            style={inputStyle}
+          />
+        </label>
+        <label className="flex items-center gap-1.5 text-xs">
+          to
+          <input
+            type="text"
+            value={to}
+            onChange={(e) => setTo(e.target.value)}
+            placeholder="visible"
+            className="w-20 px-1.5 py-0.5 font-mono rounded focus:outline-none"
+            style={inputStyle}
+          />
+        </label>
+        <button
+          onClick={handleFind}
+          className="px-3 py-1.5 text-[13px] rounded cursor-pointer transition-all duration-150 hover:border-slate-400"
+          style={{
+            background: 'var(--bg-tertiary)',
+            border: '1px solid var(--border-secondary)',
+            color: 'var(--text-secondary)'
+          }}
+        >
+          Find All Roots
+        </button>
+        {rootsResult && (
+          <button
+            onClick={onClear}
+            className="px-3 py-1.5 text-[13px] rounded cursor-pointer transition-all duration-150 hover:border-slate-400"
+            style={{
+              background: 'var(--bg-tertiary)',
+              border: '1px solid var(--border-secondary)',
+              color: 'var(--text-secondary)'
+            }}
+          >
+            Clear
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <p className="m-0 text-xs" style={{ color: 'var(--error-text)' }}>{error}</p>
+      )}
+
+      {rootsResult && (
+        <>
+          <p className="m-0 text-xs" style={{ color: 'var(--text-muted)' }}>
+            {rootsResult.roots.length === 0 ? 'No roots' : `${rootsResult.roots.length} ${rootsResult.roots.length === 1 ? 'root' : 'roots'}`} found
+            in [{rootsResult.lo.toPrecision(4)}, {rootsResult.hi.toPrecision(4)}]. Click a root to trace a run toward it.
+          </p>
+          <div className="flex flex-col gap-1">
+            {rootsResult.roots.map((root, idx) => (
+              <button
+                key={root.x}
+                onClick={() => onTraceRoot(root)}
+                className="flex flex-wrap items-baseline gap-x-3 gap-y-0.5 px-2 py-1 rounded text-left cursor-pointer hover:opacity-80"
+                style={{ background: 'var(--bg-tertiary)', border: 'none', color: 'var(--text-tertiary)' }}
+              >
+                <span className="flex items-center gap-1.5 font-mono font-semibold" style={{ color: 'var(--text-secondary)' }}>
+                  <span
+                    className="inline-block w-2.5 h-2.5 rounded-sm"
+                    style={{ background: `hsl(${getRootHue(idx)}, 70%, 50%)` }}
+                  />
+                  r{idx + 1} = {root.x.toPrecision(12)}
+                </span>
+                <span className="text-xs">
+                  m = {root.multiplicity}
+                  <span className="font-mono" style={{ color: 'var(--text-muted)' }}> (est. {root.multiplicityEstimate.toFixed(3)})</span>
+                </span>
+                <span className="text-xs font-mono" style={{ color: 'var(--text-muted)' }}>
+                  found from x₀ = {root.starts.slice(0, MAX_LISTED_STARTS).map(x0 => x0.toPrecision(4)).join(', ')}
+                  {root.starts.length > MAX_LISTED_STARTS && ` and ${root.starts.length - MAX_LISTED_STARTS} more`}
+                </span>
+              </button>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default RootsPanel;
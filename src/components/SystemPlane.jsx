@@ -0,0 +1,255 @@
+import { useEffect, useRef, useCallback } from 'react';
+import JXG from 'jsxgraph';
+import { getIterationColor } from '../utils/newton';
+import { getTangentLine } from '../utils/systemNewton';
+
+const DEFAULT_BOUNDING_BOX = [-4, 4, 4, -4];
+// Zero contours of f₁ and f₂; each tangent-plane line takes its function's color
+const CONTOUR_COLORS = ['#2563eb', '#ea580c'];
+
+function SystemPlane({
+  solver,
+  iterations,
+  visibleIterations,
+  onPickStart,
+  onElementClick
+}) {
+  const containerRef = useRef(null);
+  const boardRef = useRef(null);
+  const contourElementsRef = useRef([]);
+  const iterationElementsRef = useRef([]);
+  const pointerDownRef = useRef(null);
+
+  // Initialize the board
+  useEffect(() => {
+    if (!containerRef.current) return;
+
+    const board = JXG.JSXGraph.initBoard(containerRef.current.id, {
+      boundingbox: DEFAULT_BOUNDING_BOX,
+      axis: true,
+      grid: false,
+      showNavigation: true,
+      showCopyright: false,
+      pan: {
+        enabled: true,
+        needTwoFingers: false,
+        needShift: false
+      },
+      zoom: {
+        wheel: true,
+        needShift: false,
+        min: 0.001,
+        max: 1000
+      },
+      keepAspectRatio: true
+    });
+
+    boardRef.current = board;
+
+    return () => {
+      JXG.JSXGraph.freeBoard(board);
+      boardRef.current = null;
+    };
+  }, []);
+
+  // Draw the zero contours f₁ = 0 and f₂ = 0 for a new system
+  useEffect(() => {
+    const board = boardRef.current;
+    if (!board) return;
+
+    contourElementsRef.current.forEach(element => {
+      if (board.objects[element.id]) {
+        board.removeObject(element);
+      }
+    });
+    contourElementsRef.current = [];
+
+    if (!solver?.getFunctions) return;
+
+    contourElementsRef.current = solver.getFunctions().map((f, idx) =>
+      board.create('implicitcurve', [(x, y) => f(x, y)], {
+        strokeColor: CONTOUR_COLORS[idx],
+        strokeWidth: 2,
+        highlight: false,
+        fixed: true
+      })
+    );
+  }, [solver]);
+
+  // A click without dragging picks the starting point (x₀, y₀)
+  useEffect(() => {
+    const board = boardRef.current;
+    if (!board) return;
+
+    const handleDown = (e) => {
+      pointerDownRef.current = e.clientX !== undefined
+        ? { x: e.clientX, y: e.clientY, coords: board.getUsrCoordsOfMouse(e) }
+        : null;
+    };
+
+    const handleUp = (e) => {
+      const down = pointerDownRef.current;
+      pointerDownRef.current = null;
+      if (!down || e.clientX === undefined || !onPickStart) return;
+
+      const moved = Math.hypot(e.clientX - down.x, e.clientY - down.y);
+      if (moved < 4) {
+        onPickStart(down.coords);
+      }
+    };
+
+    board.on('down', handleDown);
+    board.on('up', handleUp);
+
+    return () => {
+      board.off('down', handleDown);
+      board.off('up', handleUp);
+    };
+  }, [onPickStart]);
+
+  // Draw the iterates, the steps between them and the tangent-plane lines
+  // whose crossing gives the next iterate
+  useEffect(() => {
+    const board = boardRef.current;
+    if (!board) return;
+
+    iterationElementsRef.current.forEach(element => {
+      if (element && board.objects[element.id]) {
+        board.removeObject(element);
+      }
+    });
+    iterationElementsRef.current = [];
+
+    if (!iterations || iterations.length === 0) return;
+
+    const initialFx = iterations[0]?.fx ?? 1;
+    const newElements = [];
+
+    iterations.forEach((iter, idx) => {
+      const isVisible = visibleIterations?.has(idx) ?? true;
+      if (!isVisible || iter.jacobian === undefined) return;
+
+      const color = getIterationColor(iter.fx, initialFx);
+
+      [0, 1].forEach(index => {
+        const line = getTangentLine(iter, index);
+        if (!line) return;
+        newElements.push(board.create('line', line, {
+          strokeColor: CONTOUR_COLORS[index],
+          strokeWidth: 1.5,
+          strokeOpacity: 0.6,
+          dash: 2,
+          highlight: false,
+          fixed: true
+        }));
+      });
+
+      if (iter.prevX !== undefined) {
+        newElements.push(board.create('arrow', [
+          [iter.prevX, iter.prevY],
+          [iter.x, iter.y]
+        ], {
+          strokeColor: '#000000',
+          strokeWidth: 2,
+          highlight: false,
+          fixed: true
+        }));
+      }
+
+      const point = board.create('point', [iter.x, iter.y], {
+        name: `p${idx}`,
+        size: idx === 0 ? 6 : 4,
+        fillColor: idx === 0 ? '#ef4444' : color,
+        strokeColor: '#000000',
+        strokeWidth: 1,
+        withLabel: true,
+        fixed: true,
+        label: {
+          offset: [8, 10],
+          fontSize: 13,
+          fontWeight: 'bold',
+          color: '#000000',
+          useMathJax: false,
+          cssStyle: 'background: rgba(255,255,255,0.85); padding: 1px 4px; border-radius: 3px; border: 1px solid ' + color
+        }
+      });
+      newElements.push(point);
+
+      point.on('down', () => {
+        if (onElementClick) {
+          onElementClick({
+            type: 'systemPoint',
+            name: `Iteration ${idx}`,
+            x: iter.x,
+            y: iter.y,
+            f1: iter.f1,
+            f2: iter.f2,
+            jacobian: iter.jacobian,
+            det: iter.det
+          });
+        }
+      });
+    });
+
+    iterationElementsRef.current = newElements;
+  }, [iterations, visibleIterations, onElementClick]);
+
+  const resetView = useCallback(() => {
+    if (boardRef.current) {
+      boardRef.current.setBoundingBox(DEFAULT_BOUNDING_BOX, true);
+    }
+  }, []);
+
+  return (
+    <div className="relative w-full flex flex-col">
+      <div className="flex justify-between items-center pb-2">
+        <h3 className="m-0 text-sm font-semibold" style={{ color: 'var(--text-secondary)' }}>
+          The (x, y)-plane: zero contours and Newton steps
+        </h3>
+        <span className="text-xs" style={{ color: 'var(--text-muted)' }}>
+          Click to choose (x₀, y₀)
+        </span>
+      </div>
+      <div
+        id="system-plane-board"
+        ref={containerRef}
+        className="graph-board w-full rounded-lg"
+        style={{
+          border: '1px solid var(--border-primary)',
+          background: 'var(--bg-secondary)',
+          aspectRatio: '1 / 1',
+          maxHeight: 'calc(100vh - 120px)',
+          minHeight: '400px'
+        }}
+      />
+      <div className="flex gap-2 py-2 justify-between items-start">
+        <div className="flex flex-wrap gap-3 text-xs" style={{ color: 'var(--text-tertiary)' }}>
+          {['f₁', 'f₂'].map((name, idx) => (
+            <span key={name} className="flex items-center gap-1.5">
+              <span className="inline-block w-4 h-0.5" style={{ background: CONTOUR_COLORS[idx] }} />
+              {name}(x, y) = 0
+            </span>
+          ))}
+          <span className="flex items-center gap-1.5">
+            <span className="inline-block w-4 border-t-2 border-dashed" style={{ borderColor: 'var(--text-muted)' }} />
+            tangent planes at height 0
+          </span>
+        </div>
+        <button
+          onClick={resetView}
+          className="px-3 py-1.5 text-[13px] rounded cursor-pointer transition-all duration-150 hover:border-slate-400"
+          style={{
+            background: 'var(--bg-tertiary)',
+            border: '1px solid var(--border-secondary)',
+            color: 'var(--text-secondary)'
+          }}
+          title="Reset View"
+        >
+          Reset View
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default SystemPlane;
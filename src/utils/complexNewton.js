@@ -0,0 +1,234 @@
+import { complex } from 'mathjs';
+import { createComplexFunction, createComplexDerivative, getDerivativeString } from './mathParser';
+
+/**
+ * Performs one iteration of Newton's method in the complex plane
+ * @param {Function} f - The function, taking and returning mathjs Complex values
+ * @param {Function} fPrime - The derivative function
+ * @param {Complex} z - Current guess
+ * @returns {{ nextZ: Complex, fz: Complex, fPrimeZ: Complex }}
+ */
+export function complexNewtonIteration(f, fPrime, z) {
+  const fz = f(z);
+  const fPrimeZ = fPrime(z);
+
+  if (fPrimeZ.abs() < 1e-12) {
+    throw new Error(`Derivative is zero at z = ${formatComplex(z)}. Newton's method cannot continue.`);
+  }
+
+  return {
+    nextZ: z.sub(fz.div(fPrimeZ)),
+    fz,
+    fPrimeZ
+  };
+}
+
+/**
+ * Runs Newton's method from one starting point until it settles, for basin plots
+ * @param {Function} f - The function, taking and returning mathjs Complex values
+ * @param {Function} fPrime - The derivative function
+ * @param {Complex} z0 - Starting point
+ * @param {Object} options
+ * @param {number} options.maxIterations - Give up after this many steps (default: 40)
+ * @param {number} options.tolerance - Converged once |f(z)| drops below this (default: 1e-8)
+ * @returns {{ converged: boolean, root: Complex | null, iterations: number }}
+ */
+export function findBasinRoot(f, fPrime, z0, { maxIterations = 40, tolerance = 1e-8 } = {}) {
+  let z = z0;
+
+  for (let i = 0; i < maxIterations; i++) {
+    const fz = f(z);
+    if (!isFiniteComplex(fz)) break;
+    if (fz.abs() < tolerance) {
+      return { converged: true, root: z, iterations: i };
+    }
+
+    const fPrimeZ = fPrime(z);
+    if (!isFiniteComplex(fPrimeZ) || fPrimeZ.abs() < 1e-12) break;
+
+    z = z.sub(fz.div(fPrimeZ));
+    if (!isFiniteComplex(z)) break;
+  }
+
+  return { converged: false, root: null, iterations: maxIterations };
+}
+
+/**
+ * Creates a Newton's method solver that iterates in the complex plane.
+ * Has the same interface as createNewtonSolver, but guesses are mathjs Complex
+ * values. Each record keeps |f(z)| in `fx` so the shared color and progress
+ * helpers work unchanged.
+ * @param {string} expression - Math expression like "x^3 - 1" (x is the complex variable)
+ * @returns {Object} Solver object with methods
+ */
+export function createComplexNewtonSolver(expression) {
+  const f = createComplexFunction(expression);
+  const fPrime = createComplexDerivative(expression);
+  const derivativeString = getDerivativeString(expression);
+
+  let iterations = [];
+  let currentZ = null;
+
+  // Evaluates f and f' at z for an iteration record
+  const evaluateAt = (z) => {
+    const fz = f(z);
+    const fPrimeZ = fPrime(z);
+
+    if (!isFiniteComplex(fz)) {
+      throw new Error(`Function is undefined at z = ${formatComplex(z)} (pole or singularity)`);
+    }
+    if (!isFiniteComplex(fPrimeZ)) {
+      throw new Error(`Derivative is undefined at z = ${formatComplex(z)}`);
+    }
+
+    return {
+      z,
+      fz,
+      fPrimeZ,
+      x: z.re,
+      y: z.im,
+      fx: fz.abs()
+    };
+  };
+
+  return {
+    /**
+     * Sets the initial guess and resets iterations
+     * @param {Complex | number} z0 - Initial guess
+     * @throws {Error} If the function is undefined at z0
+     */
+    setInitialGuess(z0) {
+      const start = complex(z0);
+      const record = evaluateAt(start);
+      currentZ = start;
+      iterations = [{ n: 0, ...record }];
+    },
+
+    /**
+     * Performs the next iteration
+     * @returns {Object} Iteration data
+     */
+    nextIteration() {
+      if (currentZ === null) {
+        throw new Error('Initial guess not set');
+      }
+
+      const result = complexNewtonIteration(f, fPrime, currentZ);
+
+      if (!isFiniteComplex(result.nextZ)) {
+        throw new Error('Newton\'s method diverged to infinity');
+      }
+
+      let record;
+      try {
+        record = evaluateAt(result.nextZ);
+      } catch {
+        throw new Error(`Iteration landed on a singularity at z = ${formatComplex(result.nextZ)}`);
+      }
+
+      const iterationData = {
+        n: iterations.length,
+        ...record,
+        prevZ: currentZ
+      };
+
+      currentZ = result.nextZ;
+      iterations.push(iterationData);
+      return iterationData;
+    },
+
+    /**
+     * Gets all iterations so far
+     * @returns {Array} All iteration data
+     */
+    getIterations() {
+      return [...iterations];
+    },
+
+    /**
+     * Gets the current z value
+     * @returns {Complex}
+     */
+    getCurrentX() {
+      return currentZ;
+    },
+
+    /**
+     * Evaluates the function at a real point, for plotting the real slice of f.
+     * Points where f is not real evaluate to NaN.
+     * @param {number} x
+     * @returns {number}
+     */
+    evaluate(x) {
+      const value = f(complex(x, 0));
+      return Math.abs(value.im) < 1e-12 ? value.re : NaN;
+    },
+
+    /**
+     * Evaluates the function and its derivative at a complex point
+     * @param {Complex} z
+     * @returns {{ fz: Complex, fPrimeZ: Complex }}
+     */
+    evaluateComplex(z) {
+      return { fz: f(z), fPrimeZ: fPrime(z) };
+    },
+
+    /**
+     * Runs Newton from z0 until it settles, for basin plots
+     * @param {Complex} z0
+     * @param {Object} options - See findBasinRoot
+     * @returns {{ converged: boolean, root: Complex | null, iterations: number }}
+     */
+    findBasinRoot(z0, options) {
+      return findBasinRoot(f, fPrime, z0, options);
+    },
+
+    /**
+     * Gets the derivative string
+     * @returns {string}
+     */
+    getDerivativeString() {
+      return derivativeString;
+    },
+
+    /**
+     * Checks if the method has converged
+     * @param {number} tolerance - Convergence tolerance on |f(z)|
+     * @returns {boolean}
+     */
+    hasConverged(tolerance = 1e-10) {
+      if (iterations.length < 2) return false;
+      return iterations[iterations.length - 1].fx < tolerance;
+    },
+
+    /**
+     * Resets the solver
+     */
+    reset() {
+      iterations = [];
+      currentZ = null;
+    }
+  };
+}
+
+/**
+ * Checks that both parts of a complex number are finite
+ * @param {Complex} z
+ * @returns {boolean}
+ */
+export function isFiniteComplex(z) {
+  return isFinite(z.re) && isFinite(z.im);
+}
+
+/**
+ * Formats a complex number as "a + bi" for display
+ * @param {Complex} z
+ * @param {number} digits - Decimal places (default: 4)
+ * @returns {string}
+ */
+export function formatComplex(z, digits = 4) {
+  if (!isFiniteComplex(z)) return 'undefined';
+  const re = z.re.toFixed(digits);
+  const im = Math.abs(z.im).toFixed(digits);
+  return `${re} ${z.im < 0 ? '−' : '+'} ${im}i`;
+}
@@ -0,0 +1,161 @@
+import { getIterationStep, getRoundingFloor } from './newton';
+
+/**
+ * Failure diagnostics for one-point iterations such as Newton's method.
+ * The solvers only throw when a step cannot be computed; these checks look at
+ * the iterates so far and name the ways a run can go wrong without throwing.
+ */
+
+// Longest cycle period that is looked for
+const MAX_CYCLE_PERIOD = 6;
+// What each method follows to its next iterate, for the explanations
+const STEP_MODELS = {
+  newton: 'tangent',
+  modified: 'scaled tangent',
+  'newton-ratio': 'tangent to f/f′',
+  halley: 'osculating hyperbola',
+  householder: 'osculating curve',
+  secant: 'secant line',
+  steffensen: 'Steffensen line'
+};
+
+/**
+ * Checks whether two iterates are the same point up to rounding
+ * @param {number} a
+ * @param {number} b
+ * @returns {boolean}
+ */
+function isSamePoint(a, b) {
+  return Math.abs(a - b) < 1e-6 * (1 + Math.abs(a));
+}
+
+/**
+ * Finds a periodic cycle at the end of the iterates: the last `period` points
+ * repeat the `period` before them, and the points are not all the same
+ * @param {number[]} xs - Iterates x_0, x_1, ...
+ * @returns {number | null} Smallest period found, or null
+ */
+export function detectCycle(xs) {
+  for (let period = 2; period <= MAX_CYCLE_PERIOD; period++) {
+    if (xs.length < 2 * period) break;
+
+    let repeats = true;
+    for (let k = 0; k < period && repeats; k++) {
+      const i = xs.length - 1 - k;
+      repeats = isSamePoint(xs[i], xs[i - period]);
+    }
+    // A run that has settled on one point repeats with every period
+    const last = xs[xs.length - 1];
+    const moving = !isSamePoint(last, xs[xs.length - 2]);
+    if (repeats && moving) return period;
+  }
+  return null;
+}
+
+/**
+ * Diagnoses how a one-point iteration is behaving
+ * @param {Array} iterations - Iteration records with x, fx and (for Newton-type methods) fPrimeX
+ * @param {Object} options
+ * @param {number} options.tolerance - |f| below this counts as converged (default: 1e-10)
+ * @param {string} options.method - Method id from SOLVER_METHODS, to word the explanations (default: 'newton')
+ * @returns {Array<{ type: string, title: string, message: string, period?: number, indices?: number[] }>}
+ */
+export function diagnoseIterations(iterations, { tolerance = 1e-10, method = 'newton' } = {}) {
+  const diagnoses = [];
+  if (!iterations || iterations.length < 2) return diagnoses;
+
+  const xs = iterations.map(iter => iter.x);
+  const last = iterations[iterations.length - 1];
+  const n = iterations.length - 1;
+  const converged = Math.abs(last.fx) < tolerance;
+  const model = STEP_MODELS[method];
+
+  // Steps x_k − x_{k−1}, latest last
+  const steps = iterations.slice(1).map((iter, i) => getIterationStep(iterations[i], iter));
+  const recentSteps = steps.slice(-4);
+  const ratios = recentSteps.slice(1).map((step, i) => Math.abs(step) / Math.abs(recentSteps[i]));
+
+  // Periodic cycle
+  const period = converged ? null : detectCycle(xs);
+  if (period) {
+    diagnoses.push({
+      type: 'cycle',
+      title: `Cycle of period ${period}`,
+      message: `The iterates repeat every ${period} steps, visiting the same ${period} points forever. ` +
+        `${model ? `Each ${model}` : 'Each step'} sends the next guess back to an earlier one, so the method will never converge from this start.`,
+      period,
+      indices: Array.from({ length: period + 1 }, (_, k) => n - period + k)
+    });
+  }
+
+  // Oscillation: steps keep switching direction without shrinking
+  if (!period && !converged && recentSteps.length >= 4) {
+    const alternates = recentSteps.every((step, i) => i === 0 || Math.sign(step) === -Math.sign(recentSteps[i - 1]));
+    const notShrinking = ratios.every(ratio => ratio > 0.8);
+    if (alternates && notShrinking) {
+      const growing = ratios.every(ratio => ratio > 1.05);
+      diagnoses.push({
+        type: 'oscillation',
+        title: growing ? 'Growing oscillation' : 'Oscillation',
+        message: growing
+          ? 'The iterates jump from side to side with ever larger steps. ' +
+            `${model ? `The ${model}s are too shallow, so each` : 'Each'} step overshoots the root by more than the last.`
+          : 'The iterates jump back and forth across the root without closing in. ' +
+            `Try a starting point closer to the root${method === 'newton' ? ', or turn on damping' : ''}.`
+      });
+    }
+  }
+
+  // Monotone divergence: steps keep the same direction, |x| grows and the steps do not shrink
+  if (!period && !converged && recentSteps.length >= 3) {
+    const sameDirection = recentSteps.every(step => Math.sign(step) === Math.sign(recentSteps[0]) && step !== 0);
+    const recentXs = xs.slice(-recentSteps.length - 1);
+    const runningAway = recentXs.every((x, i) => i === 0 || Math.abs(x) > Math.abs(recentXs[i - 1]));
+    const notShrinking = ratios.every(ratio => ratio > 0.95);
+    if (sameDirection && runningAway && notShrinking) {
+      diagnoses.push({
+        type: 'divergence',
+        title: 'Monotone divergence',
+        message: `The iterates march off toward ${recentSteps[0] > 0 ? '+∞' : '−∞'} without turning back. ` +
+          'This happens when f flattens out away from the root (as with x·e^(−x)): |f| may shrink, but there is no root out there.'
+      });
+    }
+  }
+
+  // Stagnation from a near-zero derivative
+  if (!converged && last.fPrimeX !== undefined) {
+    // Near a multiple root f′ vanishes along with f while |f| keeps falling, which is
+    // ordinary linear convergence; a flat spot only matters once |f| stops decreasing
+    const previous = iterations[iterations.length - 2];
+    const notDecreasing = Math.abs(last.fx) >= Math.abs(previous.fx);
+    const flat = Math.abs(last.fPrimeX) < 1e-6 * Math.max(1, Math.abs(last.fx)) && notDecreasing;
+    const stalled = steps.length > 0 && Math.abs(steps[steps.length - 1]) < getRoundingFloor(last) * (1 + Math.abs(last.x));
+    if (flat || stalled) {
+      diagnoses.push({
+        type: 'stagnation',
+        title: 'Stagnation near a flat spot',
+        message: flat
+          ? `f′(x${n}) = ${last.fPrimeX.toExponential(2)} is almost zero while f(x${n}) is not. ` +
+            `${model ? `The ${model} is nearly horizontal, so the` : 'The'} next step is huge and unreliable.`
+          : 'The iterates have stopped moving but f is not zero. The derivative is so small that the updates vanish in rounding.'
+      });
+    }
+  }
+
+  // Slow linear convergence: steps shrink by a steady factor instead of squaring
+  if (!period && recentSteps.length >= 4) {
+    const steady = ratios.every(ratio => ratio > 0.2 && ratio < 0.95) &&
+      Math.max(...ratios) - Math.min(...ratios) < 0.1;
+    if (steady) {
+      const rate = ratios[ratios.length - 1];
+      diagnoses.push({
+        type: 'slow',
+        title: 'Slow linear convergence',
+        message: `Each step is about ${rate.toFixed(2)} times the previous one, so the error shrinks linearly rather than quadratically. ` +
+          `This is typical of a multiple root; a rate near (m − 1)/m suggests multiplicity m ≈ ${Math.max(2, Math.round(1 / (1 - rate)))}.`
+      });
+    }
+  }
+
+  return diagnoses;
+}
@@ -0,0 +1,132 @@
+import { createFunction, createDerivative } from './mathParser';
+import { createNewtonSolver, estimateMultiplicity } from './newton';
+
+// Newton steps allowed per candidate; multiple roots converge only linearly
+const MAX_REFINE_ITERATIONS = 80;
+// Most candidates refined per scan, so a wildly oscillating f cannot stall the page
+const MAX_CANDIDATES = 300;
+
+/**
+ * Finds starting points worth refining on [lo, hi]: one per sign change of f,
+ * and one on each side of every sign change of f′ (a critical point may be a
+ * root that touches the axis without crossing it)
+ * @param {Function} f
+ * @param {Function} fPrime
+ * @param {number} lo
+ * @param {number} hi
+ * @param {number} samples - Number of grid intervals
+ * @returns {number[]} Candidate starting points
+ */
+function findCandidates(f, fPrime, lo, hi, samples) {
+  const xs = Array.from({ length: samples + 1 }, (_, i) => lo + ((hi - lo) * i) / samples);
+  const fs = xs.map(x => f(x));
+  const dfs = xs.map(x => fPrime(x));
+  const candidates = [];
+
+  for (let i = 0; i < samples; i++) {
+    const [a, b] = [xs[i], xs[i + 1]];
+    if (fs[i] === 0) candidates.push(a);
+
+    if (isFinite(fs[i]) && isFinite(fs[i + 1]) && fs[i] * fs[i + 1] < 0) {
+      // False position gives a start close to the crossing
+      candidates.push(a - (fs[i] * (b - a)) / (fs[i + 1] - fs[i]));
+    }
+    if (isFinite(dfs[i]) && isFinite(dfs[i + 1]) && dfs[i] * dfs[i + 1] < 0) {
+      candidates.push(a, b);
+    }
+  }
+  if (fs[samples] === 0) candidates.push(xs[samples]);
+
+  return candidates.slice(0, MAX_CANDIDATES);
+}
+
+/**
+ * Runs Newton's method from x0 until |f| or the step is negligible
+ * @param {Object} solver - Newton solver from createNewtonSolver, reused between runs
+ * @param {number} x0
+ * @param {number} tolerance - |f| below this counts as a root
+ * @returns {number | null} The root reached, or null if the run failed
+ */
+function refineWithNewton(solver, x0, tolerance) {
+  let started = false;
+  try {
+    solver.setInitialGuess(x0);
+    started = true;
+    for (let i = 0; i < MAX_REFINE_ITERATIONS; i++) {
+      const previous = solver.getCurrentX();
+      if (Math.abs(solver.evaluate(previous)) === 0) break;
+      solver.nextIteration();
+      const x = solver.getCurrentX();
+      if (Math.abs(x - previous) <= 4 * Number.EPSILON * Math.max(1, Math.abs(x))) break;
+    }
+    return solver.getCurrentX();
+  } catch {
+    // At a multiple root f′ vanishes along with f, so the solver stops with
+    // "Derivative is zero" once it gets there; that run still found a root
+    const x = started ? solver.getCurrentX() : null;
+    return x !== null && Math.abs(solver.evaluate(x)) < tolerance ? x : null;
+  }
+}
+
+/**
+ * Finds all real roots of f on [lo, hi]: candidates from sign changes of f and
+ * critical points are refined with Newton's method, and runs that end on the
+ * same root are merged
+ * @param {string} expression - Math expression like "x^3 - x"
+ * @param {number} lo - Left end of the interval
+ * @param {number} hi - Right end of the interval
+ * @param {Object} options
+ * @param {number} options.samples - Grid intervals used to look for candidates (default: 400)
+ * @param {number} options.tolerance - |f| below this counts as a root (default: 1e-10)
+ * @returns {Array<{ x: number, fx: number, multiplicity: number, multiplicityEstimate: number, starts: number[] }>}
+ *   Roots from left to right, each with the starting points that reached it
+ */
+export function findAllRoots(expression, lo, hi, { samples = 400, tolerance = 1e-10 } = {}) {
+  if (!(lo < hi)) {
+    throw new Error('The search interval needs from < to');
+  }
+
+  const f = createFunction(expression);
+  const fPrime = createDerivative(expression);
+  const fDoublePrime = createDerivative(expression, 2);
+  const solver = createNewtonSolver(expression);
+  const slack = 1e-9 * (hi - lo);
+  const roots = [];
+
+  findCandidates(f, fPrime, lo, hi, samples).forEach(x0 => {
+    const x = refineWithNewton(solver, x0, tolerance);
+    if (x === null || !isFinite(x) || x < lo - slack || x > hi + slack) return;
+    const fx = f(x);
+    if (!(Math.abs(fx) < tolerance)) return;
+
+    // Multiple roots are only pinned down to a few digits, so merge generously
+    const existing = roots.find(root => Math.abs(root.x - x) < 1e-5 * Math.max(1, Math.abs(x)));
+    if (existing) {
+      existing.starts.push(x0);
+      if (Math.abs(fx) < Math.abs(existing.fx)) {
+        existing.x = x;
+        existing.fx = fx;
+      }
+    } else {
+      roots.push({ x, fx, starts: [x0] });
+    }
+  });
+
+  return roots
+    .map(root => {
+      // m ≈ f′² / (f′² − f·f″) is 0/0 at the root itself, so look a little to the side
+      const offset = 1e-4 * Math.max(1, Math.abs(root.x));
+      const estimates = [root.x - offset, root.x + offset]
+        .map(x => estimateMultiplicity(f(x), fPrime(x), fDoublePrime(x)))
+        .filter(m => isFinite(m));
+      const multiplicityEstimate = estimates.length > 0
+        ? estimates.reduce((sum, m) => sum + m, 0) / estimates.length
+        : 1;
+      return {
+        ...root,
+        multiplicityEstimate,
+        multiplicity: Math.max(1, Math.round(multiplicityEstimate))
+      };
+    })
+    .sort((a, b) => a.x - b.x);
+}
@@ -0,0 +1,346 @@
+import { parse, derivative } from 'mathjs';
+
+/**
+ * Interval arithmetic over mathjs expression trees.
+ * An interval is a plain { lo, hi } object and stands for every real number
+ * between its bounds. Each operation rounds its bounds outward by one unit in
+ * the last place, so the result is guaranteed to contain the exact value as
+ * long as the built-in Math functions are accurate to within one ulp.
+ */
+
+export const ENTIRE = Object.freeze({ lo: -Infinity, hi: Infinity });
+
+const bits = new DataView(new ArrayBuffer(8));
+
+/**
+ * Smallest double above x
+ * @param {number} x
+ * @returns {number}
+ */
+export function nextUp(x) {
+  if (Number.isNaN(x) || x === Infinity) return x;
+  if (x === 0) return Number.MIN_VALUE;
+  bits.setFloat64(0, x);
+  const word = bits.getBigInt64(0);
+  bits.setBigInt64(0, x > 0 ? word + 1n : word - 1n);
+  return bits.getFloat64(0);
+}
+
+/**
+ * Largest double below x
+ * @param {number} x
+ * @returns {number}
+ */
+export function nextDown(x) {
+  return -nextUp(-x);
+}
+
+/**
+ * Creates an interval, optionally rounding its bounds outward
+ * @param {number} lo
+ * @param {number} hi - Defaults to lo (a point interval)
+ * @param {boolean} round - Widen by one ulp on each side (default: false)
+ * @returns {{ lo: number, hi: number }}
+ */
+export function interval(lo, hi = lo, round = false) {
+  if (Number.isNaN(lo) || Number.isNaN(hi)) {
+    throw new Error('Interval bound is not a number');
+  }
+  return round ? { lo: nextDown(lo), hi: nextUp(hi) } : { lo, hi };
+}
+
+/**
+ * Checks whether an interval contains a number
+ * @param {{ lo: number, hi: number }} x
+ * @param {number} value
+ * @returns {boolean}
+ */
+export function contains(x, value) {
+  return x.lo <= value && value <= x.hi;
+}
+
+/**
+ * Intersects two intervals
+ * @returns {{ lo: number, hi: number } | null} The intersection, or null if it is empty
+ */
+export function intersect(a, b) {
+  const lo = Math.max(a.lo, b.lo);
+  const hi = Math.min(a.hi, b.hi);
+  return lo <= hi ? { lo, hi } : null;
+}
+
+/**
+ * Midpoint of a bounded interval
+ * @param {{ lo: number, hi: number }} x
+ * @returns {number}
+ */
+export function midpoint(x) {
+  const mid = x.lo / 2 + x.hi / 2;
+  return Math.min(Math.max(mid, x.lo), x.hi);
+}
+
+export function add(a, b) {
+  return interval(a.lo + b.lo, a.hi + b.hi, true);
+}
+
+export function subtract(a, b) {
+  return interval(a.lo - b.hi, a.hi - b.lo, true);
+}
+
+export function multiply(a, b) {
+  // 0 · ∞ only arises from an unbounded factor, where 0 is the right limit
+  const products = [a.lo * b.lo, a.lo * b.hi, a.hi * b.lo, a.hi * b.hi]
+    .map(p => (Number.isNaN(p) ? 0 : p));
+  return interval(Math.min(...products), Math.max(...products), true);
+}
+
+/**
+ * Divides two intervals. A divisor that contains zero gives the whole real line;
+ * use divideExtended to keep the two pieces apart.
+ */
+export function divide(a, b) {
+  if (contains(b, 0)) return ENTIRE;
+  const quotients = [a.lo / b.lo, a.lo / b.hi, a.hi / b.lo, a.hi / b.hi];
+  return interval(Math.min(...quotients), Math.max(...quotients), true);
+}
+
+/**
+ * Extended division a / b for a divisor that may contain zero: the set of all
+ * q with q·y = x for some x in a and y in b, as up to two intervals
+ * @returns {Array<{ lo: number, hi: number }>} Zero, one or two intervals
+ */
+export function divideExtended(a, b) {
+  if (!contains(b, 0)) return [divide(a, b)];
+  if (contains(a, 0)) return [ENTIRE];
+  if (b.lo === 0 && b.hi === 0) return [];
+
+  const pieces = [];
+  if (a.hi < 0) {
+    if (b.hi > 0) pieces.push({ lo: -Infinity, hi: nextUp(a.hi / b.hi) });
+    if (b.lo < 0) pieces.push({ lo: nextDown(a.hi / b.lo), hi: Infinity });
+  } else {
+    if (b.lo < 0) pieces.push({ lo: -Infinity, hi: nextUp(a.lo / b.lo) });
+    if (b.hi > 0) pieces.push({ lo: nextDown(a.lo / b.hi), hi: Infinity });
+  }
+  return pieces;
+}
+
+function negate(x) {
+  return { lo: -x.hi, hi: -x.lo };
+}
+
+// x^n for a point x and a whole n ≥ 1, by repeated rounded multiplication
+function pointPower(value, n) {
+  let result = interval(value);
+  for (let i = 1; i < n; i++) {
+    result = multiply(result, interval(value));
+  }
+  return result;
+}
+
+/**
+ * Raises an interval to a whole power
+ * @param {{ lo: number, hi: number }} x
+ * @param {number} n - Integer exponent
+ * @returns {{ lo: number, hi: number }}
+ */
+export function powerInteger(x, n) {
+  if (n === 0) return interval(1);
+  if (n < 0) return divide(interval(1), powerInteger(x, -n));
+  if (n === 1) return x;
+
+  if (n % 2 === 1) {
+    // Odd powers are increasing
+    return { lo: pointPower(x.lo, n).lo, hi: pointPower(x.hi, n).hi };
+  }
+  // Even powers are smallest at the point of x closest to zero
+  const magnitude = Math.max(Math.abs(x.lo), Math.abs(x.hi));
+  const mignitude = contains(x, 0) ? 0 : Math.min(Math.abs(x.lo), Math.abs(x.hi));
+  return { lo: pointPower(mignitude, n).lo, hi: pointPower(magnitude, n).hi };
+}
+
+// Applies an increasing function to the bounds and rounds outward
+function increasing(fn, x) {
+  return interval(fn(x.lo), fn(x.hi), true);
+}
+
+function requireDomain(x, lo, name) {
+  if (x.lo < lo) {
+    throw new Error(`${name} is undefined on part of [${x.lo}, ${x.hi}]`);
+  }
+}
+
+// Whether x contains angle + 2kπ for some integer k (checked generously, which only widens)
+function containsAngle(x, angle) {
+  const k = Math.ceil((x.lo - angle) / (2 * Math.PI) - 1e-9);
+  return angle + 2 * Math.PI * k <= x.hi + 1e-9;
+}
+
+// Range of sin or cos, given where the function peaks and bottoms out
+function periodic(fn, x, peak, trough) {
+  if (x.hi - x.lo >= 2 * Math.PI) return interval(-1, 1);
+  const ends = [fn(x.lo), fn(x.hi)];
+  const lo = containsAngle(x, trough) ? -1 : nextDown(Math.min(...ends));
+  const hi = containsAngle(x, peak) ? 1 : nextUp(Math.max(...ends));
+  return interval(Math.max(lo, -1), Math.min(hi, 1));
+}
+
+function sin(x) {
+  return periodic(Math.sin, x, Math.PI / 2, -Math.PI / 2);
+}
+
+function cos(x) {
+  return periodic(Math.cos, x, 0, Math.PI);
+}
+
+function tan(x) {
+  // Poles at π/2 + kπ
+  if (x.hi - x.lo >= Math.PI || containsAngle(x, Math.PI / 2) || containsAngle(x, -Math.PI / 2)) {
+    return ENTIRE;
+  }
+  return increasing(Math.tan, x);
+}
+
+function abs(x) {
+  if (x.lo >= 0) return x;
+  if (x.hi <= 0) return negate(x);
+  return interval(0, Math.max(-x.lo, x.hi));
+}
+
+function log(x) {
+  requireDomain(x, 0, 'log');
+  return increasing(Math.log, x);
+}
+
+/**
+ * Real powers x^y with a non-integer exponent, as exp(y·log x)
+ */
+function power(x, y) {
+  if (y.lo === y.hi && Number.isInteger(y.lo)) {
+    return powerInteger(x, y.lo);
+  }
+  requireDomain(x, 0, 'A fractional power');
+  return increasing(Math.exp, multiply(y, log(x)));
+}
+
+const FUNCTIONS = {
+  sin,
+  cos,
+  tan,
+  sec: x => divide(interval(1), cos(x)),
+  csc: x => divide(interval(1), sin(x)),
+  cot: x => divide(cos(x), sin(x)),
+  exp: x => increasing(Math.exp, x),
+  log: (x, base) => (base ? divide(log(x), log(base)) : log(x)),
+  log10: x => divide(log(x), log(interval(10))),
+  log2: x => divide(log(x), log(interval(2))),
+  sqrt: x => {
+    requireDomain(x, 0, 'sqrt');
+    return interval(Math.max(0, nextDown(Math.sqrt(x.lo))), nextUp(Math.sqrt(x.hi)));
+  },
+  cbrt: x => increasing(Math.cbrt, x),
+  abs,
+  atan: x => increasing(Math.atan, x),
+  sinh: x => increasing(Math.sinh, x),
+  tanh: x => increasing(Math.tanh, x),
+  asinh: x => increasing(Math.asinh, x),
+  cosh: x => {
+    const a = abs(x);
+    return interval(Math.max(1, nextDown(Math.cosh(a.lo))), nextUp(Math.cosh(a.hi)));
+  },
+  square: x => powerInteger(x, 2),
+  cube: x => powerInteger(x, 3)
+};
+
+const CONSTANTS = {
+  pi: interval(Math.PI, Math.PI, true),
+  e: interval(Math.E, Math.E, true)
+};
+
+// A decimal constant such as 0.1 is not exact in binary, so it is widened unless it is a whole number
+function constant(value) {
+  if (typeof value !== 'number') {
+    throw new Error(`Interval arithmetic does not support the constant ${value}`);
+  }
+  return Number.isSafeInteger(value) ? interval(value) : interval(value, value, true);
+}
+
+/**
+ * Evaluates a mathjs node over an interval of x
+ * @param {Object} node - mathjs expression node
+ * @param {{ lo: number, hi: number }} x
+ * @returns {{ lo: number, hi: number }}
+ */
+function evaluateNode(node, x) {
+  switch (node.type) {
+    case 'ConstantNode':
+      return constant(node.value);
+    case 'SymbolNode':
+      if (node.name === 'x') return x;
+      if (CONSTANTS[node.name]) return CONSTANTS[node.name];
+      throw new Error(`Interval arithmetic does not know the symbol ${node.name}`);
+    case 'ParenthesisNode':
+      return evaluateNode(node.content, x);
+    case 'OperatorNode': {
+      const args = node.args.map(arg => evaluateNode(arg, x));
+      switch (node.fn) {
+        case 'add': return add(args[0], args[1]);
+        case 'subtract': return subtract(args[0], args[1]);
+        case 'multiply': return multiply(args[0], args[1]);
+        case 'divide': return divide(args[0], args[1]);
+        case 'unaryMinus': return negate(args[0]);
+        case 'unaryPlus': return args[0];
+        case 'pow': return power(args[0], args[1]);
+        default:
+          throw new Error(`Interval arithmetic does not support the operator ${node.op}`);
+      }
+    }
+    case 'FunctionNode': {
+      const name = node.fn.name;
+      if (!FUNCTIONS[name]) {
+        throw new Error(`Interval arithmetic does not support ${name}(…)`);
+      }
+      return FUNCTIONS[name](...node.args.map(arg => evaluateNode(arg, x)));
+    }
+    default:
+      throw new Error(`Interval arithmetic does not support ${node.toString()}`);
+  }
+}
+
+/**
+ * Creates the interval extension of an expression: a function that maps an
+ * interval X to an interval containing f(x) for every x in X
+ * @param {string} expression - Math expression like "x^2 - 2"
+ * @returns {Function} A function that takes and returns { lo, hi } intervals
+ * @throws {Error} If the expression uses something interval arithmetic does not cover
+ */
+export function createIntervalFunction(expression) {
+  const node = parse(expression);
+  // Fail now rather than mid-iteration on an unsupported operation; domain errors can wait
+  try {
+    evaluateNode(node, interval(1, 2));
+  } catch (error) {
+    if (error.message.startsWith('Interval arithmetic')) throw error;
+  }
+  return (x) => evaluateNode(node, x);
+}
+
+/**
+ * Creates the interval extension of the symbolic derivative of an expression
+ * @param {string} expression - Math expression like "x^2 - 2"
+ * @returns {Function} A function that takes and returns { lo, hi } intervals
+ */
+export function createIntervalDerivative(expression) {
+  return createIntervalFunction(derivative(parse(expression), 'x').toString());
+}
+
+/**
+ * Formats an interval as "[lo, hi]" for display
+ * @param {{ lo: number, hi: number }} x
+ * @param {number} digits - Significant digits (default: 6)
+ * @returns {string}
+ */
+export function formatInterval(x, digits = 6) {
+  const format = value => (isFinite(value) ? value.toPrecision(digits) : value > 0 ? '∞' : '−∞');
+  return `[${format(x.lo)}, ${format(x.hi)}]`;
+}
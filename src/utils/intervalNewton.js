@@ -0,0 +1,273 @@
+import { createFunction, getDerivativeString } from './mathParser';
+import {
+  createIntervalFunction,
+  createIntervalDerivative,
+  interval,
+  intersect,
+  midpoint,
+  subtract,
+  divideExtended,
+  contains,
+  formatInterval
+} from './interval';
+
+// Boxes narrower than this many ulps of their midpoint are not split further
+const MIN_WIDTH_ULPS = 8;
+// An unproven box that N(X) shrinks by less than this fraction is bisected instead
+const MIN_CONTRACTION = 0.1;
+// Where to cut a box instead of its midpoint when f may vanish at the midpoint
+const OFF_CENTER_SPLIT = 0.4;
+
+/**
+ * Applies the interval Newton operator N(X) = m − f(m)/F′(X) to a box X and
+ * intersects the result with X.
+ * Every root of f in X lies in the returned pieces, so no pieces proves there is
+ * no root, and N(X) inside the interior of X proves there is exactly one.
+ * @param {Function} F - Interval extension of f
+ * @param {Function} dF - Interval extension of f′
+ * @param {{ lo: number, hi: number }} X - Current box
+ * @returns {{ m: number, fm: Object, slopes: Object, image: Array, pieces: Array, proof: 'unique' | 'none' | null }}
+ */
+export function intervalNewtonStep(F, dF, X) {
+  const m = midpoint(X);
+  const point = interval(m);
+  const fm = F(point);
+  const slopes = dF(X);
+
+  const image = divideExtended(fm, slopes).map(quotient => subtract(point, quotient));
+  const pieces = image.map(piece => intersect(piece, X)).filter(Boolean);
+
+  let proof = null;
+  if (pieces.length === 0) {
+    proof = 'none';
+  } else if (!contains(slopes, 0) && image[0].lo > X.lo && image[0].hi < X.hi) {
+    proof = 'unique';
+  }
+
+  return { m, fm, slopes, image, pieces, proof };
+}
+
+/**
+ * Picks where to bisect a box. A root exactly at the cut would sit on the
+ * endpoint of both halves, where N(X) can never lie strictly inside the box,
+ * so the cut moves off center when f at the midpoint may be zero.
+ * @param {Function} F - Interval extension of f
+ * @param {{ lo: number, hi: number }} X - Box to bisect
+ * @returns {number}
+ */
+function chooseSplit(F, X) {
+  const m = midpoint(X);
+  if (!contains(F(interval(m)), 0)) return m;
+  return X.lo + OFF_CENTER_SPLIT * (X.hi - X.lo);
+}
+
+/**
+ * Creates an interval Newton solver for a given expression.
+ * Has the same interface as createNewtonSolver, but starts from an interval [a, b]
+ * and keeps a list of boxes that may still hold roots. Each step takes the most
+ * recent box, applies the interval Newton operator and records what it proved:
+ * a unique root, no root, or neither (in which case the box is narrowed, split
+ * by a derivative that changes sign, or bisected).
+ * @param {string} expression - Math expression like "x^2 - 2"
+ * @returns {Object} Solver object with methods
+ */
+export function createIntervalNewtonSolver(expression) {
+  const f = createFunction(expression);
+  const F = createIntervalFunction(expression);
+  const dF = createIntervalDerivative(expression);
+  const derivativeString = getDerivativeString(expression);
+
+  let iterations = [];
+  // Boxes still to examine, last one next; proven boxes are known to hold exactly one root
+  let pending = [];
+
+  const startRecord = (X) => {
+    const m = midpoint(X);
+    return { n: 0, x: m, fx: f(m), a: X.lo, b: X.hi, enclosure: X, status: 'start', proof: null, pending: 1 };
+  };
+
+  return {
+    /**
+     * Sets the starting interval and resets iterations
+     * @param {number} a - One end of the interval
+     * @param {number} b - The other end of the interval
+     * @throws {Error} If the interval is missing or f cannot be evaluated over it
+     */
+    setInitialGuess(a, b) {
+      if (!isFinite(b)) {
+        throw new Error('Interval Newton needs an interval [a, b]');
+      }
+      if (a === b) {
+        throw new Error('The interval endpoints a and b must be different');
+      }
+
+      const X = interval(Math.min(a, b), Math.max(a, b));
+      // Surface domain errors (e.g. log of a negative number) before the first step
+      F(X);
+      dF(X);
+
+      iterations = [startRecord(X)];
+      pending = [{ box: X, proven: false }];
+    },
+
+    /**
+     * Performs the next iteration on the most recent pending box
+     * @returns {Object} Iteration data
+     */
+    nextIteration() {
+      if (iterations.length === 0) {
+        throw new Error('Initial guess not set');
+      }
+      if (pending.length === 0) {
+        throw new Error('Nothing left to refine: every part of the starting interval has been resolved');
+      }
+
+      const { box: X, proven: wasProven } = pending.pop();
+      const step = intervalNewtonStep(F, dF, X);
+      const proven = wasProven || step.proof === 'unique';
+      const width = X.hi - X.lo;
+      // The floor of 1 keeps boxes around a root at 0 from shrinking through subnormal numbers
+      const tiny = width <= MIN_WIDTH_ULPS * Number.EPSILON * Math.max(Math.abs(step.m), 1);
+
+      let status;
+      let next = [];
+      if (step.proof === 'none') {
+        status = 'excluded';
+      } else if (proven && step.pieces.length === 1 && step.pieces[0].lo === X.lo && step.pieces[0].hi === X.hi) {
+        // The box cannot get any tighter in floating point
+        status = 'tight';
+      } else if (!proven && step.pieces.length === 1 && step.pieces[0].hi - step.pieces[0].lo > (1 - MIN_CONTRACTION) * width) {
+        // Too little progress: bisect what is left, unless it is already as small as it gets
+        const [piece] = step.pieces;
+        if (tiny) {
+          status = 'unresolved';
+        } else {
+          status = 'bisected';
+          const split = chooseSplit(F, piece);
+          next = [interval(split, piece.hi), interval(piece.lo, split)];
+        }
+      } else if (!proven && tiny) {
+        // Splitting or narrowing around a root that cannot be proven, such as a double root
+        status = 'unresolved';
+      } else {
+        status = step.pieces.length === 2 ? 'split' : 'narrowed';
+        next = [...step.pieces].reverse();
+      }
+      next.forEach(box => pending.push({ box, proven }));
+
+      const previous = iterations[iterations.length - 1];
+      const iterationData = {
+        n: iterations.length,
+        x: step.m,
+        fx: f(step.m),
+        a: X.lo,
+        b: X.hi,
+        enclosure: X,
+        image: step.image,
+        slopes: step.slopes,
+        status,
+        proof: step.proof,
+        proven,
+        pending: pending.length,
+        prevX: previous.x
+      };
+
+      iterations.push(iterationData);
+      return iterationData;
+    },
+
+    /**
+     * Gets all iterations so far
+     * @returns {Array} All iteration data
+     */
+    getIterations() {
+      return [...iterations];
+    },
+
+    /**
+     * Gets the midpoint of the box examined last
+     * @returns {number}
+     */
+    getCurrentX() {
+      return iterations.length > 0 ? iterations[iterations.length - 1].x : null;
+    },
+
+    /**
+     * Evaluates the function at a point
+     * @param {number} x
+     * @returns {number}
+     */
+    evaluate(x) {
+      return f(x);
+    },
+
+    /**
+     * Gets the derivative string
+     * @returns {string}
+     */
+    getDerivativeString() {
+      return derivativeString;
+    },
+
+    /**
+     * Checks if the method has converged: every box is resolved, or the last one
+     * holds a proven root and is narrower than the tolerance
+     * @param {number} tolerance - Convergence tolerance on the box width
+     * @returns {boolean}
+     */
+    hasConverged(tolerance = 1e-10) {
+      if (iterations.length < 2) return false;
+      const last = iterations[iterations.length - 1];
+      return pending.length === 0 || (last.proven && last.b - last.a < tolerance);
+    },
+
+    /**
+     * Resets the solver
+     */
+    reset() {
+      iterations = [];
+      pending = [];
+    }
+  };
+}
+
+/**
+ * Collects what the iterations have certified: the tightest box proven to hold
+ * exactly one root for each root found, and every box proven to hold none
+ * @param {Array} iterations - Interval Newton iteration records
+ * @returns {{ roots: Array<{ lo: number, hi: number }>, excluded: Array<{ lo: number, hi: number }> }}
+ */
+export function getCertifiedResults(iterations) {
+  const proven = iterations.filter(iter => iter.proven).map(iter => iter.enclosure);
+  // A later proven box inside an earlier one refines the same root
+  const roots = proven.filter((box, i) => !proven.some((other, j) => j > i && other.lo >= box.lo && other.hi <= box.hi));
+  const excluded = iterations.filter(iter => iter.proof === 'none').map(iter => iter.enclosure);
+  return { roots, excluded };
+}
+
+/**
+ * Describes the outcome of an interval Newton step in words
+ * @param {Object} iter - Interval Newton iteration record
+ * @returns {string}
+ */
+export function describeIntervalStatus(iter) {
+  const box = formatInterval(iter.enclosure);
+  switch (iter.status) {
+    case 'start':
+      return `Searching ${box}`;
+    case 'excluded':
+      return `N(X) ∩ X is empty: proven no root in ${box}`;
+    case 'tight':
+      return `Unique root enclosed in ${box}, as tight as double precision allows`;
+    case 'unresolved':
+      return `Cannot decide ${box}: F′(X) contains 0 even on this tiny box (a multiple root?)`;
+    case 'bisected':
+      return `No progress on ${box}, so it was bisected`;
+    case 'split':
+      return `F′(X) contains 0, so N(X) splits ${box} into two pieces`;
+    default:
+      return iter.proof === 'unique'
+        ? `N(X) lies inside ${box}: proven exactly one root there`
+        : `Narrowed ${box}`;
+  }
+}
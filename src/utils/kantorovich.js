@@ -0,0 +1,106 @@
+import { createFunction, createDerivative, getDerivativeString } from './mathParser';
+import { createIntervalFunction, interval } from './interval';
+
+// Points used to estimate max |f''| when interval arithmetic cannot bound it
+const LIPSCHITZ_SAMPLES = 400;
+// Sampling can miss the peak of |f''|, so the estimate is padded by this factor
+const SAMPLING_SAFETY = 1.1;
+// Neighborhood radii tried, as multiples of the first Newton step η; 2η always
+// contains the ball when the condition holds, smaller ones give a smaller L
+const RADIUS_FACTORS = [1.05, 1.25, 1.5, 2];
+
+/**
+ * Bounds the Lipschitz constant of f′ on [lo, hi] by max |f″|, using interval
+ * arithmetic when it covers the expression and dense sampling otherwise
+ * @param {string} expression - Math expression like "x^2 - 2"
+ * @param {number} lo
+ * @param {number} hi
+ * @returns {{ value: number, method: 'interval' | 'sampled' }}
+ */
+export function estimateLipschitzConstant(expression, lo, hi) {
+  try {
+    const secondDerivative = createIntervalFunction(getDerivativeString(expression, 2));
+    const range = secondDerivative(interval(lo, hi));
+    return { value: Math.max(Math.abs(range.lo), Math.abs(range.hi)), method: 'interval' };
+  } catch {
+    const fDoublePrime = createDerivative(expression, 2);
+    let max = 0;
+    for (let i = 0; i <= LIPSCHITZ_SAMPLES; i++) {
+      const value = Math.abs(fDoublePrime(lo + (hi - lo) * (i / LIPSCHITZ_SAMPLES)));
+      if (!isFinite(value)) return { value: Infinity, method: 'sampled' };
+      max = Math.max(max, value);
+    }
+    return { value: max * SAMPLING_SAFETY, method: 'sampled' };
+  }
+}
+
+/**
+ * Checks the Kantorovich condition for Newton's method from x0.
+ * With β = 1/|f′(x0)|, η = |f(x0)/f′(x0)| and L a Lipschitz constant of f′ on a
+ * neighborhood of x0, h = βLη ≤ 1/2 guarantees that Newton's method converges
+ * to a root in the ball |x − x0| ≤ r*, unique in |x − x0| < r**, and the
+ * convergence is quadratic when h < 1/2.
+ * @param {string} expression - Math expression like "x^2 - 2"
+ * @param {number} x0 - Starting point
+ * @returns {Object} The constants β, η, L and h, whether convergence is guaranteed,
+ *   and the radii r* (root ball) and r** (uniqueness ball), or an error message
+ */
+export function checkKantorovich(expression, x0) {
+  const f = createFunction(expression);
+  const fPrime = createDerivative(expression);
+  const fx0 = f(x0);
+  const fPrimeX0 = fPrime(x0);
+
+  if (!isFinite(fx0) || !isFinite(fPrimeX0)) {
+    return { x0, error: `f or f′ is undefined at x₀ = ${x0}` };
+  }
+  if (fPrimeX0 === 0) {
+    return { x0, error: 'f′(x₀) = 0, so the first Newton step is not defined' };
+  }
+
+  const beta = 1 / Math.abs(fPrimeX0);
+  const eta = Math.abs(fx0 / fPrimeX0);
+  if (eta === 0) {
+    return { x0, fx0, fPrimeX0, beta, eta, h: 0, guaranteed: true, quadratic: true, radius: 0, uniquenessRadius: null, lipschitz: null };
+  }
+
+  // Use the smallest neighborhood that still holds the ball the theorem promises
+  let best = null;
+  for (const factor of RADIUS_FACTORS) {
+    const neighborhood = { lo: x0 - factor * eta, hi: x0 + factor * eta };
+    const lipschitz = estimateLipschitzConstant(expression, neighborhood.lo, neighborhood.hi);
+    const h = beta * lipschitz.value * eta;
+    let radius = null;
+    if (lipschitz.value === 0) {
+      // f is linear here, so the first step lands on the root
+      radius = eta;
+    } else if (h <= 0.5) {
+      radius = (1 - Math.sqrt(1 - 2 * h)) / (beta * lipschitz.value);
+    }
+    best = { neighborhood, lipschitz, h, radius, fits: radius !== null && radius <= factor * eta };
+    if (best.fits) break;
+  }
+
+  const guaranteed = best.fits;
+  const { value: L, method } = best.lipschitz;
+  // The uniqueness radius only holds where L bounds f″, i.e. inside the neighborhood
+  const uniquenessRadius = guaranteed && L > 0
+    ? Math.min((1 + Math.sqrt(1 - 2 * best.h)) / (beta * L), best.neighborhood.hi - x0)
+    : null;
+
+  return {
+    x0,
+    fx0,
+    fPrimeX0,
+    beta,
+    eta,
+    lipschitz: L,
+    lipschitzMethod: method,
+    neighborhood: best.neighborhood,
+    h: best.h,
+    guaranteed,
+    quadratic: guaranteed && best.h < 0.5,
+    radius: guaranteed ? best.radius : null,
+    uniquenessRadius
+  };
+}
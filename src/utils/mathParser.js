@@ -1,18 +1,206 @@
-import { parse, compile, derivative } from "mathjs";
+import { parse, compile, derivative, complex, isComplex, isFraction, create, all } from "mathjs";
+
+// createDerivatives stops differentiating symbolically past this many characters
+const MAX_SYMBOLIC_LENGTH = 50000;
+
+// mathjs instances that evaluate with BigNumber, one per precision
+const bigNumberMaths = new Map();
+
+/**
+ * Gets a mathjs instance whose numbers are BigNumbers with the given precision
+ * @param {number} precision - Significant decimal digits
+ * @returns {Object} mathjs instance
+ */
+function getBigNumberMath(precision) {
+  if (!bigNumberMaths.has(precision)) {
+    bigNumberMaths.set(precision, create(all, { number: "BigNumber", precision }));
+  }
+  return bigNumberMaths.get(precision);
+}
+
+/**
+ * Converts a number or numeric string to a BigNumber with the given precision
+ * @param {number | string} value
+ * @param {number} precision - Significant decimal digits
+ * @returns {BigNumber}
+ */
+export function toBigNumber(value, precision) {
+  return getBigNumberMath(precision).bignumber(value);
+}
+
+/**
+ * Compiles an expression into a function of a BigNumber x.
+ * Results that are not real BigNumbers (e.g. complex) become NaN.
+ * @param {string} expression - Math expression
+ * @param {number} precision - Significant decimal digits
+ * @returns {Function} A function that takes a BigNumber x and returns a BigNumber
+ */
+function createBigNumberFunction(expression, precision) {
+  const math = getBigNumberMath(precision);
+  const compiled = math.compile(expression);
+  return (x) => {
+    try {
+      const value = compiled.evaluate({ x });
+      if (math.isBigNumber(value)) return value;
+      return math.bignumber(typeof value === "number" ? value : NaN);
+    } catch {
+      return math.bignumber(NaN);
+    }
+  };
+}
+
+// mathjs instance that evaluates with exact Fractions, created on first use
+let fractionMath = null;
+
+function getFractionMath() {
+  if (!fractionMath) {
+    fractionMath = create(all, { number: "Fraction" });
+  }
+  return fractionMath;
+}
+
+/**
+ * Converts a number or numeric string to an exact Fraction
+ * @param {number | string} value
+ * @returns {Fraction}
+ */
+export function toFraction(value) {
+  return getFractionMath().fraction(value);
+}
+
+/**
+ * Converts a number, BigNumber or Fraction to a plain number, for display and plotting.
+ * A Fraction whose numerator and denominator both overflow float64 is scaled down
+ * first, so it becomes an approximate value instead of NaN.
+ * @param {number | BigNumber | Fraction} value
+ * @returns {number}
+ */
+export function toNumber(value) {
+  const direct = Number(value);
+  if (!isFraction(value) || !isNaN(direct)) return direct;
+
+  const digits = Math.max(value.n.toString().length, value.d.toString().length);
+  const scale = 10n ** BigInt(Math.max(0, digits - 300));
+  return (Number(value.s) * Number(value.n / scale)) / Number(value.d / scale);
+}
+
+/**
+ * Compiles an expression into a function of a Fraction x.
+ * Results that are not Fractions, and divisions by zero, become NaN.
+ * @param {string} expression - Math expression made of rational operations
+ * @returns {Function} A function that takes a Fraction x and returns a Fraction (or NaN)
+ */
+function createFractionFunction(expression) {
+  const math = getFractionMath();
+  const compiled = math.compile(expression);
+  return (x) => {
+    try {
+      const value = compiled.evaluate({ x });
+      return math.isFraction(value) ? value : NaN;
+    } catch {
+      return NaN;
+    }
+  };
+}
+
+/**
+ * Finds the first operation that keeps an expression from being a rational
+ * function of x, i.e. anything besides + − × ÷, integer powers, numbers and x
+ * @param {string} expression - Math expression
+ * @returns {string | null} Description of the offending operation, or null if rational
+ */
+export function findNonRationalOperation(expression) {
+  let problem = null;
+
+  parse(expression).traverse((node) => {
+    if (problem) return;
+
+    if (node.type === "FunctionNode") {
+      problem = `${node.fn.name ?? node.fn.toString()}(…)`;
+    } else if (node.type === "SymbolNode" && node.name !== "x") {
+      // Function names are SymbolNodes too, but their FunctionNode is visited first
+      problem = node.name;
+    } else if (node.type === "ConstantNode" && typeof node.value === "number" && !isFinite(node.value)) {
+      problem = String(node.value);
+    } else if (node.type === "OperatorNode" && node.op === "^") {
+      let exponent = node.args[1];
+      while (exponent.type === "ParenthesisNode") exponent = exponent.content;
+      const value = exponent.type === "ConstantNode" ? exponent.value
+        : exponent.type === "OperatorNode" && exponent.fn === "unaryMinus" && exponent.args[0].type === "ConstantNode" ? -exponent.args[0].value
+        : null;
+      if (!Number.isInteger(value)) {
+        problem = `the power ^${node.args[1].toString()}`;
+      }
+    } else if (node.type === "OperatorNode" && !["add", "subtract", "multiply", "divide", "unaryMinus", "unaryPlus", "pow"].includes(node.fn)) {
+      problem = node.op;
+    }
+  });
+
+  return problem;
+}
+
+/**
+ * Binds a compiled expression to its variables, in order
+ * @param {Object} compiled - mathjs compiled expression
+ * @param {string[]} variables - Variable names, e.g. ["x", "y"]
+ * @returns {Function} A function that takes one number per variable and returns the value
+ */
+function bindVariables(compiled, variables) {
+  if (variables.length === 1 && variables[0] === "x") {
+    return (x) => {
+      try {
+        return compiled.evaluate({ x });
+      } catch {
+        return NaN;
+      }
+    };
+  }
+  return (...values) => {
+    try {
+      return compiled.evaluate(Object.fromEntries(variables.map((name, i) => [name, values[i]])));
+    } catch {
+      return NaN;
+    }
+  };
+}
 
 /**
  * Creates a callable function from a math expression string
  * @param {string} expression - Math expression like "x^2 - 2" or "sin(x)"
- * @returns {Function} A function that takes x and returns f(x)
+ * @param {Object} options
+ * @param {number | null} options.precision - Evaluate with BigNumbers of this many digits (default: float64)
+ * @param {boolean} options.exact - Evaluate with exact Fractions (rational expressions only)
+ * @param {string[]} options.variables - Variables the function takes, in order (default: ["x"]; float64 only)
+ * @returns {Function} A function that takes x (or one value per variable) and returns f
  */
-export function createFunction(expression) {
+export function createFunction(expression, { precision = null, exact = false, variables = ["x"] } = {}) {
+  try {
+    if (exact) {
+      return createFractionFunction(expression);
+    }
+    if (precision) {
+      return createBigNumberFunction(expression, precision);
+    }
+    return bindVariables(compile(expression), variables);
+  } catch (error) {
+    throw new Error(`Invalid expression: ${error.message}`);
+  }
+}
+
+/**
+ * Creates a callable function over the complex plane from a math expression string.
+ * The expression is written in x as usual; x is bound to a mathjs Complex value.
+ * @param {string} expression - Math expression like "x^3 - 1"
+ * @returns {Function} A function that takes a Complex z and returns f(z) as a Complex
+ */
+export function createComplexFunction(expression) {
   try {
     const compiled = compile(expression);
-    return (x) => {
+    return (z) => {
       try {
-        return compiled.evaluate({ x });
+        return complex(compiled.evaluate({ x: z }));
       } catch {
-        return NaN;
+        return complex(NaN, NaN);
       }
     };
   } catch (error) {
@@ -21,30 +209,147 @@ export function createFunction(expression) {
 }
 
 /**
- * Creates the derivative function from a math expression string
- * Uses symbolic differentiation from mathjs
- * @param {string} expression - Math expression like "x^2 - 2"
- * @returns {Function} A function that takes x and returns f'(x)
+ * Creates the derivative function over the complex plane from a math expression string.
+ * Symbolic derivatives are analytic, so they hold in the complex plane too.
+ * @param {string} expression - Math expression like "x^3 - 1"
+ * @returns {Function} A function that takes a Complex z and returns f'(z) as a Complex
  */
-export function createDerivative(expression) {
+export function createComplexDerivative(expression) {
   try {
-    const derivativeExpr = derivative(expression, "x");
+    const derivativeExpr = symbolicDerivative(expression, 1);
     const compiled = compile(derivativeExpr.toString());
-    return (x) => {
+    return (z) => {
       try {
-        return compiled.evaluate({ x });
+        return complex(compiled.evaluate({ x: z }));
       } catch {
-        return NaN;
+        return complex(NaN, NaN);
       }
     };
+  } catch {
+    // Fallback to a complex-step central difference if symbolic fails
+    console.warn("Symbolic derivative failed, using numerical approximation");
+    const f = createComplexFunction(expression);
+    const h = 1e-8;
+    return (z) => f(z.add(h)).sub(f(z.sub(h))).div(2 * h);
+  }
+}
+
+/**
+ * Differentiates an expression symbolically, repeatedly for higher orders
+ * @param {string} expression - Math expression like "x^2 - 2"
+ * @param {number} order - How many times to differentiate
+ * @param {string} variable - Variable to differentiate with respect to (default: "x")
+ * @param {Object} options
+ * @param {boolean} options.simplify - Simplify after each step (default: true). Simplifying
+ *   keeps low orders readable but its cost grows quickly with the size of the expression.
+ * @param {Function} options.onStep - Called with (node, order) after each step; returning
+ *   false stops early and returns that node
+ * @returns {Object} The mathjs node of the derivative
+ */
+function symbolicDerivative(expression, order, variable = "x", { simplify = true, onStep } = {}) {
+  let node = parse(expression);
+  for (let i = 1; i <= order; i++) {
+    node = derivative(node, variable, { simplify });
+    if (onStep && onStep(node, i) === false) break;
+  }
+  return node;
+}
+
+/**
+ * Creates the derivative function from a math expression string
+ * Uses symbolic differentiation from mathjs
+ * @param {string} expression - Math expression like "x^2 - 2"
+ * @param {number} order - Derivative order (default: 1; 2 gives the second derivative, and so on)
+ * @param {Object} options
+ * @param {number | null} options.precision - Evaluate with BigNumbers of this many digits (default: float64)
+ * @param {boolean} options.exact - Evaluate with exact Fractions (rational expressions only)
+ * @param {string} options.variable - Variable to differentiate with respect to (default: "x")
+ * @param {string[]} options.variables - Variables the derivative takes, in order (default: [variable])
+ * @returns {Function} A function that takes x (or one value per variable) and returns the derivative
+ */
+export function createDerivative(expression, order = 1, { precision = null, exact = false, variable = "x", variables = [variable] } = {}) {
+  try {
+    const derivativeExpr = symbolicDerivative(expression, order, variable);
+    if (exact) {
+      return createFractionFunction(derivativeExpr.toString());
+    }
+    if (precision) {
+      return createBigNumberFunction(derivativeExpr.toString(), precision);
+    }
+    return bindVariables(compile(derivativeExpr.toString()), variables);
   } catch (error) {
+    // Finite differences would throw away the extra digits
+    if (precision || exact) {
+      throw new Error("Arbitrary precision needs a symbolic derivative of this function");
+    }
     // Fallback to numerical derivative if symbolic fails
     console.warn("Symbolic derivative failed, using numerical approximation");
+    if (variables.length > 1) {
+      if (order > 1) {
+        throw new Error(`Cannot differentiate ${expression} ${order} times with respect to ${variable}`);
+      }
+      // Central difference in the one variable, the others held fixed
+      const f = createFunction(expression, { variables });
+      const index = variables.indexOf(variable);
+      const h = 1e-8;
+      return (...values) => {
+        const shifted = (delta) => values.map((value, i) => (i === index ? value + delta : value));
+        return (f(...shifted(h)) - f(...shifted(-h))) / (2 * h);
+      };
+    }
+    if (order > 1) {
+      // Differentiate the lower-order derivative with a larger step to limit noise
+      const lower = createDerivative(expression, order - 1);
+      return (x) => numericalDerivative(lower, x, 1e-4);
+    }
     const f = createFunction(expression);
     return (x) => numericalDerivative(f, x);
   }
 }
 
+/**
+ * Creates the second derivative function f″ from a math expression string
+ * @param {string} expression - Math expression like "x^3 - 2x + 2"
+ * @param {Object} options - Same options as createDerivative
+ * @returns {Function} A function that takes x and returns f″(x)
+ */
+export function createSecondDerivative(expression, options = {}) {
+  return createDerivative(expression, 2, options);
+}
+
+/**
+ * Creates f and its first maxOrder derivatives in one pass, differentiating
+ * each symbolic derivative again instead of starting over from f.
+ * The steps are not simplified, since simplifying high orders can take minutes;
+ * once a derivative grows past MAX_SYMBOLIC_LENGTH characters, the remaining
+ * orders are finite differences of the last symbolic one.
+ * @param {string} expression - Math expression like "sin(x) - x/2"
+ * @param {number} maxOrder - Highest derivative order to build
+ * @returns {Function[]} [f, f′, f″, …], where entry k is the k-th derivative
+ */
+export function createDerivatives(expression, maxOrder) {
+  const derivatives = [createFunction(expression)];
+  try {
+    symbolicDerivative(expression, maxOrder, "x", {
+      simplify: false,
+      onStep: (node) => {
+        const text = node.toString();
+        derivatives.push(bindVariables(compile(text), ["x"]));
+        return text.length <= MAX_SYMBOLIC_LENGTH;
+      },
+    });
+  } catch {
+    // Keep the orders built so far and continue numerically
+  }
+
+  while (derivatives.length <= maxOrder) {
+    const order = derivatives.length;
+    const lower = derivatives[order - 1];
+    derivatives.push(order === 1 ? createDerivative(expression) : (x) => numericalDerivative(lower, x, 1e-4));
+  }
+  return derivatives;
+}
+
 /**
  * Computes numerical derivative using central difference
  * @param {Function} f - The function
@@ -59,9 +364,16 @@ export function numericalDerivative(f, x, h = 1e-8) {
 /**
  * Validates a math expression
  * @param {string} expression - Math expression to validate
+ * @param {Object} options
+ * @param {boolean} options.allowComplex - Accept complex results (for complex-plane mode)
+ * @param {string[]} options.variables - Variables the expression may use (default: ["x"])
  * @returns {{ valid: boolean, error?: string }}
  */
-export function validateExpression(expression) {
+export function validateExpression(expression, { allowComplex = false, variables = ["x"] } = {}) {
+  const invalidMessage = `Invalid expression - please enter a valid function of ${variables.join(" and ")}`;
+  // Test points give every variable the same value
+  const evaluateAt = (f, value) => f(...variables.map(() => value));
+
   if (!expression || expression.trim() === "") {
     return { valid: false, error: "Expression cannot be empty" };
   }
@@ -114,18 +426,19 @@ export function validateExpression(expression) {
   if (!validMathPattern.test(trimmed)) {
     // Additional check - try to parse and see if it makes sense
     try {
-      const f = createFunction(trimmed);
-      const testValue = f(1);
-      if (typeof testValue !== "number" || isNaN(testValue)) {
+      const f = createFunction(trimmed, { variables });
+      const testValue = evaluateAt(f, 1);
+      const isAcceptedComplex = allowComplex && isComplex(testValue);
+      if (!isAcceptedComplex && (typeof testValue !== "number" || isNaN(testValue))) {
         return {
           valid: false,
-          error: "Invalid expression - please enter a valid function of x",
+          error: invalidMessage,
         };
       }
     } catch {
       return {
         valid: false,
-        error: "Invalid expression - please enter a valid function of x",
+        error: invalidMessage,
       };
     }
   }
@@ -133,14 +446,17 @@ export function validateExpression(expression) {
   try {
     parse(expression);
     // Try to evaluate at a test point to catch runtime errors
-    const f = createFunction(expression);
-    const testValue = f(1);
+    const f = createFunction(expression, { variables });
+    const testValue = evaluateAt(f, 1);
+    if (allowComplex && isComplex(testValue)) {
+      return { valid: true };
+    }
     if (typeof testValue !== "number") {
       return { valid: false, error: "Expression must evaluate to a number" };
     }
     if (isNaN(testValue)) {
       // Try another test point in case x=1 is a singularity
-      const testValue2 = f(2);
+      const testValue2 = evaluateAt(f, 2);
       if (isNaN(testValue2)) {
         return {
           valid: false,
@@ -157,13 +473,15 @@ export function validateExpression(expression) {
 /**
  * Gets a string representation of the derivative
  * @param {string} expression - The original expression
+ * @param {number} order - Derivative order (default: 1)
+ * @param {string} variable - Variable to differentiate with respect to (default: "x")
  * @returns {string} The derivative expression as a string
  */
-export function getDerivativeString(expression) {
+export function getDerivativeString(expression, order = 1, variable = "x") {
   try {
-    const derivativeExpr = derivative(expression, "x");
+    const derivativeExpr = symbolicDerivative(expression, order, variable);
     return derivativeExpr.toString();
   } catch {
-    return "f'(x)";
+    return variable === "x" ? `f${"'".repeat(order)}(x)` : `∂f/∂${variable}`;
   }
 }
@@ -1,20 +1,60 @@
-import { createFunction, createDerivative, getDerivativeString } from './mathParser';
+import { isBigNumber, isFraction } from 'mathjs';
+import {
+  createFunction,
+  createDerivative,
+  getDerivativeString,
+  toBigNumber,
+  toFraction,
+  findNonRationalOperation,
+  toNumber
+} from './mathParser';
+import { createComplexNewtonSolver } from './complexNewton';
+import { createIntervalNewtonSolver } from './intervalNewton';
+import { createSystemNewtonSolver } from './systemNewton';
+
+// Exact fractions double their digits every step; stop before they get unmanageable
+const MAX_FRACTION_DIGITS = 5000;
+
+/**
+ * Tells whether f′ is too small to divide by at the working precision: below 1e-12
+ * in float64, below 10^−(p−4) for BigNumbers of p digits, and exactly 0 for Fractions
+ * @param {number | BigNumber | Fraction} fPrimeX
+ * @returns {boolean}
+ */
+function isNegligibleDerivative(fPrimeX) {
+  if (isFraction(fPrimeX)) return fPrimeX.equals(0);
+  if (isBigNumber(fPrimeX)) return fPrimeX.abs().lt(`1e-${fPrimeX.constructor.precision - 4}`);
+  return Math.abs(fPrimeX) < 1e-12;
+}
 
 /**
- * Performs one iteration of Newton's method
+ * Performs one iteration of Newton's method.
+ * With a BigNumber or Fraction guess (and f, f' that take the same type) the
+ * update is done in that arithmetic; the tangent line is always returned as plain numbers.
  * @param {Function} f - The function
  * @param {Function} fPrime - The derivative function
- * @param {number} x - Current guess
- * @returns {{ nextX: number, fx: number, fPrimeX: number, tangentSlope: number, tangentIntercept: number }}
+ * @param {number | BigNumber | Fraction} x - Current guess
+ * @returns {{ nextX: number | BigNumber | Fraction, fx: number | BigNumber | Fraction, fPrimeX: number | BigNumber | Fraction, tangentSlope: number, tangentIntercept: number }}
  */
 export function newtonIteration(f, fPrime, x) {
   const fx = f(x);
   const fPrimeX = fPrime(x);
 
-  if (Math.abs(fPrimeX) < 1e-12) {
+  if (isNegligibleDerivative(fPrimeX)) {
     throw new Error(`Derivative is zero at x = ${x}. Newton's method cannot continue.`);
   }
 
+  if (isBigNumber(x) || isFraction(x)) {
+    const slope = toNumber(fPrimeX);
+    return {
+      nextX: isFraction(x) ? x.sub(fx.div(fPrimeX)) : x.minus(fx.div(fPrimeX)),
+      fx,
+      fPrimeX,
+      tangentSlope: slope,
+      tangentIntercept: toNumber(fx) - slope * toNumber(x)
+    };
+  }
+
   const nextX = x - fx / fPrimeX;
 
   // Tangent line: y - fx = fPrimeX * (t - x)
@@ -32,19 +72,117 @@ export function newtonIteration(f, fPrime, x) {
   };
 }
 
+/**
+ * Performs one damped Newton iteration with Armijo-style backtracking.
+ * Starting from the full step (λ = 1), λ is halved until
+ * |f(x + λ·d)| ≤ (1 - c·λ)·|f(x)|, where d = -f(x)/f'(x) is the Newton direction.
+ * @param {Function} f - The function
+ * @param {Function} fPrime - The derivative function
+ * @param {number} x - Current guess
+ * @param {Object} options
+ * @param {number} options.armijo - Sufficient decrease constant c (default: 1e-4)
+ * @param {number} options.maxBacktracks - Give up after this many halvings (default: 30)
+ * @returns {{ nextX: number, fullNextX: number, lambda: number, backtracks: number, fx: number, fPrimeX: number }}
+ */
+export function dampedNewtonIteration(f, fPrime, x, { armijo = 1e-4, maxBacktracks = 30 } = {}) {
+  const result = newtonIteration(f, fPrime, x);
+  const direction = result.nextX - x;
+  const normFx = Math.abs(result.fx);
+
+  let lambda = 1;
+  for (let backtracks = 0; backtracks <= maxBacktracks; backtracks++) {
+    const trialX = x + lambda * direction;
+    const trialFx = f(trialX);
+
+    // Non-finite trial values (overflow, singularities) count as insufficient decrease
+    if (isFinite(trialX) && isFinite(trialFx) && Math.abs(trialFx) <= (1 - armijo * lambda) * normFx) {
+      return {
+        ...result,
+        nextX: trialX,
+        fullNextX: result.nextX,
+        lambda,
+        backtracks
+      };
+    }
+    lambda /= 2;
+  }
+
+  throw new Error(`Backtracking could not decrease |f| from x = ${x}. |f| may have a local minimum here that is not a root.`);
+}
+
+/**
+ * Builds the Newton map N(x) = x − f(x)/f′(x) and its derivative
+ * N′(x) = f(x)·f″(x)/f′(x)², for the fixed-point view. Newton's method is
+ * fixed-point iteration of N: its fixed points are the roots of f, and where
+ * |N′| < 1 the map pulls nearby points together.
+ * @param {string} expression - Math expression like "x^3 - 2x + 2"
+ * @returns {{ map: Function, derivative: Function }} Both return NaN where f′ = 0 or f is undefined
+ */
+export function createNewtonMap(expression) {
+  const f = createFunction(expression);
+  const fPrime = createDerivative(expression, 1);
+  const fDoublePrime = createDerivative(expression, 2);
+
+  const valuesAt = (x) => {
+    const fx = f(x);
+    const fPrimeX = fPrime(x);
+    return typeof fx === 'number' && typeof fPrimeX === 'number' && isFinite(fx) && fPrimeX !== 0
+      ? { fx, fPrimeX }
+      : null;
+  };
+
+  return {
+    map(x) {
+      const values = valuesAt(x);
+      return values ? x - values.fx / values.fPrimeX : NaN;
+    },
+    derivative(x) {
+      const values = valuesAt(x);
+      return values ? (values.fx * fDoublePrime(x)) / (values.fPrimeX * values.fPrimeX) : NaN;
+    }
+  };
+}
+
 /**
  * Creates a Newton's method solver for a given expression
  * @param {string} expression - Math expression like "x^2 - 2"
+ * @param {Object} options
+ * @param {boolean} options.damping - Shrink each step by backtracking until |f| decreases enough
+ * @param {number | null} options.precision - Iterate with BigNumbers of this many digits instead of
+ *   float64. Records then also carry the exact iterate in xBig and f(x) in fxBig.
+ * @param {boolean} options.exact - Iterate with exact Fractions (rational expressions only).
+ *   Records then also carry the iterate in xExact and f(x) in fxExact.
  * @returns {Object} Solver object with methods
  */
-export function createNewtonSolver(expression) {
-  const f = createFunction(expression);
-  const fPrime = createDerivative(expression);
+export function createNewtonSolver(expression, { damping = false, precision = null, exact = false } = {}) {
+  if (damping && (precision || exact)) {
+    throw new Error('Damping is not available with arbitrary precision or exact fractions');
+  }
+  if (exact) {
+    const problem = findNonRationalOperation(expression);
+    if (problem) {
+      throw new Error(`Exact fractions need a rational function of x (only + − × ÷, integer powers and numbers), but the expression uses ${problem}`);
+    }
+  }
+
+  const f = createFunction(expression, { precision, exact });
+  const fPrime = createDerivative(expression, 1, { precision, exact });
+  // The graph samples f at plain numbers
+  const plotF = precision || exact ? createFunction(expression) : f;
   const derivativeString = getDerivativeString(expression);
 
   let iterations = [];
   let currentX = null;
 
+  // Plain-number fields for the graph and table, plus the BigNumber values when iterating in BigNumbers
+  const toRecord = (x, fx, fPrimeX) => ({
+    x: toNumber(x),
+    fx: toNumber(fx),
+    fPrimeX: toNumber(fPrimeX),
+    ...(precision && { xBig: x, fxBig: fx }),
+    ...(exact && { xExact: x, fxExact: fx })
+  });
+
   return {
     /**
      * Sets the initial guess and resets iterations
@@ -52,25 +190,30 @@ export function createNewtonSolver(expression) {
      * @throws {Error} If the function is undefined at x0 (vertical asymptote)
      */
     setInitialGuess(x0) {
-      const fx0 = f(x0);
-      const fPrimeX0 = fPrime(x0);
+      let start = x0;
+      if (exact) {
+        start = toFraction(x0);
+      } else if (precision) {
+        start = toBigNumber(x0, precision);
+      }
+      const fx0 = f(start);
+      const fPrimeX0 = fPrime(start);
 
       // Check for undefined values (vertical asymptotes, etc.)
-      if (!isFinite(fx0)) {
+      if (!isFinite(Number(fx0))) {
         throw new Error(`Function is undefined at x = ${x0.toFixed(4)} (vertical asymptote or singularity)`);
       }
-      if (!isFinite(fPrimeX0)) {
+      if (!isFinite(Number(fPrimeX0))) {
         throw new Error(`Derivative is undefined at x = ${x0.toFixed(4)}`);
       }
 
-      currentX = x0;
+      currentX = start;
+      const record = toRecord(start, fx0, fPrimeX0);
       iterations = [{
         n: 0,
-        x: x0,
-        fx: fx0,
-        fPrimeX: fPrimeX0,
-        tangentSlope: fPrimeX0,
-        tangentIntercept: fx0 - fPrimeX0 * x0
+        ...record,
+        tangentSlope: record.fPrimeX,
+        tangentIntercept: record.fx - record.fPrimeX * record.x
       }];
     },
 
@@ -83,10 +226,16 @@ export function createNewtonSolver(expression) {
         throw new Error('Initial guess not set');
       }
 
-      const result = newtonIteration(f, fPrime, currentX);
+      const result = damping
+        ? dampedNewtonIteration(f, fPrime, currentX)
+        : newtonIteration(f, fPrime, currentX);
 
-      // Check if next x is valid
-      if (!isFinite(result.nextX)) {
+      // Check if next x is valid; the size check comes first because a Fraction
+      // that long no longer converts to a number exactly
+      if (exact && result.nextX.d.toString().length > MAX_FRACTION_DIGITS) {
+        throw new Error(`The exact fraction has grown past ${MAX_FRACTION_DIGITS} digits in its denominator. Switch to BigNumber precision to go further.`);
+      }
+      if (!isFinite(toNumber(result.nextX))) {
         throw new Error('Newton\'s method diverged to infinity');
       }
 
@@ -94,10 +243,10 @@ export function createNewtonSolver(expression) {
       const nextFPrimeX = fPrime(result.nextX);
 
       // Check for asymptotes at the next point
-      if (!isFinite(nextFx)) {
+      if (!isFinite(toNumber(nextFx))) {
         throw new Error(`Iteration landed on a singularity at x = ${result.nextX.toFixed(4)}`);
       }
-      if (!isFinite(nextFPrimeX)) {
+      if (!isFinite(toNumber(nextFPrimeX))) {
         throw new Error(`Derivative undefined at x = ${result.nextX.toFixed(4)}`);
       }
 
@@ -105,14 +254,18 @@ export function createNewtonSolver(expression) {
 
       const iterationData = {
         n: iterations.length,
-        x: result.nextX,
-        fx: nextFx,
-        fPrimeX: nextFPrimeX,
+        ...toRecord(result.nextX, nextFx, nextFPrimeX),
         prevX: iterations[iterations.length - 1].x,
         tangentSlope: result.tangentSlope,
         tangentIntercept: result.tangentIntercept
       };
 
+      if (damping) {
+        iterationData.lambda = result.lambda;
+        iterationData.backtracks = result.backtracks;
+        iterationData.fullNextX = result.fullNextX;
+      }
+
       iterations.push(iterationData);
       return iterationData;
     },
@@ -130,7 +283,7 @@ export function createNewtonSolver(expression) {
      * @returns {number}
      */
     getCurrentX() {
-      return currentX;
+      return currentX === null ? null : toNumber(currentX);
     },
 
     /**
@@ -139,7 +292,7 @@ export function createNewtonSolver(expression) {
      * @returns {number}
      */
     evaluate(x) {
-      return f(x);
+      return plotF(x);
     },
 
     /**
@@ -172,48 +325,1679 @@ export function createNewtonSolver(expression) {
 }
 
 /**
- * Calculates convergence progress from initial |f(x)| toward target
- * @param {number} currentFx - Current |f(x)| value
- * @param {number} initialFx - Initial |f(x₀)| value (starting point)
- * @param {number} targetFx - Target |f(x)| for convergence (default 1e-10)
- * @returns {number} Progress from 0 (start) to 1 (converged)
+ * Performs one iteration of the secant method
+ * @param {Function} f - The function
+ * @param {number} prevX - Previous guess x_{n-1}
+ * @param {number} x - Current guess x_n
+ * @returns {{ nextX: number, fx: number, prevFx: number, secantSlope: number, secantIntercept: number }}
  */
-export function getConvergenceProgress(currentFx, initialFx, targetFx = 1e-10) {
-  // Use absolute values
-  const current = Math.abs(currentFx);
-  const initial = Math.abs(initialFx);
-  const target = targetFx;
+export function secantIteration(f, prevX, x) {
+  const fx = f(x);
+  const prevFx = f(prevX);
 
-  // Handle edge cases
-  if (initial <= target || current <= 0) {
-    return 1; // Already converged
+  if (x === prevX) {
+    throw new Error(`Secant points coincide at x = ${x}. The secant method cannot continue.`);
   }
-  if (current >= initial) {
-    return 0; // At or worse than start
+
+  const secantSlope = (fx - prevFx) / (x - prevX);
+
+  if (Math.abs(secantSlope) < 1e-12) {
+    throw new Error(`Secant line through x = ${prevX} and x = ${x} is horizontal. The secant method cannot continue.`);
   }
 
-  // Use logarithmic scale for progress calculation
-  // progress = 0 when current = initial, progress = 1 when current = target
-  const logInitial = Math.log10(initial);
-  const logCurrent = Math.log10(Math.max(current, target)); // Clamp to target
-  const logTarget = Math.log10(target);
+  const nextX = x - fx / secantSlope;
 
-  return Math.min(1, Math.max(0, (logInitial - logCurrent) / (logInitial - logTarget)));
+  // Secant line: y = secantSlope * t + (fx - secantSlope * x)
+  const secantIntercept = fx - secantSlope * x;
+
+  return {
+    nextX,
+    fx,
+    prevFx,
+    secantSlope,
+    secantIntercept
+  };
 }
 
 /**
- * Generates colors for iterations based on convergence progress
- * @param {number} currentFx - Current |f(x)| value
- * @param {number} initialFx - Initial |f(x₀)| value (starting point)
- * @param {number} targetFx - Target |f(x)| for convergence (default 1e-10)
- * @returns {string} HSL color string
+ * Creates a secant method solver for a given expression.
+ * Has the same interface as createNewtonSolver, but needs two starting points
+ * and never evaluates the derivative.
+ * @param {string} expression - Math expression like "x^2 - 2"
+ * @returns {Object} Solver object with methods
  */
-export function getIterationColor(currentFx, initialFx, targetFx = 1e-10) {
-  // Start at blue (200), end at green (120)
-  const startHue = 200;
-  const endHue = 120;
+export function createSecantSolver(expression) {
+  const f = createFunction(expression);
+  const derivativeString = getDerivativeString(expression);
 
-  const progress = getConvergenceProgress(currentFx, initialFx, targetFx);
-  const hue = startHue + (endHue - startHue) * progress;
-  return `hsl(${hue}, 70%, 50%)`;
+  let iterations = [];
+  let currentX = null;
+
+  return {
+    /**
+     * Sets the two starting points and resets iterations
+     * @param {number} x0 - First starting point
+     * @param {number} x1 - Second starting point
+     * @throws {Error} If the function is undefined at either point
+     */
+    setInitialGuess(x0, x1) {
+      if (!isFinite(x1)) {
+        throw new Error('The secant method needs a second starting point x₁');
+      }
+      if (x0 === x1) {
+        throw new Error('The two starting points x₀ and x₁ must be different');
+      }
+
+      const fx0 = f(x0);
+      const fx1 = f(x1);
+
+      if (!isFinite(fx0)) {
+        throw new Error(`Function is undefined at x = ${x0.toFixed(4)} (vertical asymptote or singularity)`);
+      }
+      if (!isFinite(fx1)) {
+        throw new Error(`Function is undefined at x = ${x1.toFixed(4)} (vertical asymptote or singularity)`);
+      }
+
+      const secantSlope = (fx1 - fx0) / (x1 - x0);
+
+      currentX = x1;
+      iterations = [{
+        n: 0,
+        x: x0,
+        fx: fx0
+      }, {
+        n: 1,
+        x: x1,
+        fx: fx1,
+        prevX: x0,
+        prevFx: fx0,
+        secantSlope,
+        secantIntercept: fx1 - secantSlope * x1
+      }];
+    },
+
+    /**
+     * Performs the next iteration
+     * @returns {Object} Iteration data
+     */
+    nextIteration() {
+      if (currentX === null) {
+        throw new Error('Initial guess not set');
+      }
+
+      const prevX = iterations[iterations.length - 2].x;
+      const result = secantIteration(f, prevX, currentX);
+
+      if (!isFinite(result.nextX)) {
+        throw new Error('The secant method diverged to infinity');
+      }
+
+      const nextFx = f(result.nextX);
+
+      if (!isFinite(nextFx)) {
+        throw new Error(`Iteration landed on a singularity at x = ${result.nextX.toFixed(4)}`);
+      }
+
+      // Slope of the secant through the two newest points, used for the next step
+      const nextSlope = (nextFx - result.fx) / (result.nextX - currentX);
+
+      const iterationData = {
+        n: iterations.length,
+        x: result.nextX,
+        fx: nextFx,
+        prevX: currentX,
+        prevFx: result.fx,
+        secantSlope: nextSlope,
+        secantIntercept: nextFx - nextSlope * result.nextX
+      };
+
+      currentX = result.nextX;
+      iterations.push(iterationData);
+      return iterationData;
+    },
+
+    /**
+     * Gets all iterations so far
+     * @returns {Array} All iteration data
+     */
+    getIterations() {
+      return [...iterations];
+    },
+
+    /**
+     * Gets the current x value
+     * @returns {number}
+     */
+    getCurrentX() {
+      return currentX;
+    },
+
+    /**
+     * Evaluates the function at a point
+     * @param {number} x
+     * @returns {number}
+     */
+    evaluate(x) {
+      return f(x);
+    },
+
+    /**
+     * Gets the derivative string (for display only, the method never uses it)
+     * @returns {string}
+     */
+    getDerivativeString() {
+      return derivativeString;
+    },
+
+    /**
+     * Checks if the method has converged
+     * @param {number} tolerance - Convergence tolerance
+     * @returns {boolean}
+     */
+    hasConverged(tolerance = 1e-10) {
+      // The first two entries are starting points, not computed steps
+      if (iterations.length < 3) return false;
+      const lastFx = iterations[iterations.length - 1].fx;
+      return Math.abs(lastFx) < tolerance;
+    },
+
+    /**
+     * Resets the solver
+     */
+    reset() {
+      iterations = [];
+      currentX = null;
+    }
+  };
+}
+
+/**
+ * Performs one iteration of the bisection method
+ * @param {Function} f - The function
+ * @param {number} a - Left end of the bracket
+ * @param {number} b - Right end of the bracket
+ * @returns {{ a: number, b: number, fa: number, fb: number }} The half of [a, b] that keeps the sign change
+ */
+export function bisectionIteration(f, a, b) {
+  const fa = f(a);
+  const midpoint = (a + b) / 2;
+  const fMid = f(midpoint);
+
+  if (Math.sign(fa) * Math.sign(fMid) <= 0) {
+    return { a, b: midpoint, fa, fb: fMid };
+  }
+  return { a: midpoint, b, fa: fMid, fb: f(b) };
+}
+
+/**
+ * Builds the iteration record for a bracket [a, b], evaluated at its midpoint
+ * @param {Function} f - The function
+ * @param {number} n - Iteration number
+ * @param {{ a: number, b: number, fa: number, fb: number }} bracket
+ * @returns {Object} Iteration data
+ */
+function bracketRecord(f, n, { a, b, fa, fb }) {
+  const midpoint = (a + b) / 2;
+  const fMid = f(midpoint);
+
+  if (!isFinite(fMid)) {
+    throw new Error(`Midpoint landed on a singularity at x = ${midpoint.toFixed(4)}`);
+  }
+
+  return {
+    n,
+    x: midpoint,
+    fx: fMid,
+    a,
+    b,
+    fa,
+    fb,
+    width: b - a
+  };
+}
+
+/**
+ * Creates a bisection solver for a given expression.
+ * Has the same interface as createNewtonSolver, but starts from an interval [a, b]
+ * with a sign change and records the bracket at every step.
+ * @param {string} expression - Math expression like "x^2 - 2"
+ * @returns {Object} Solver object with methods
+ */
+export function createBisectionSolver(expression) {
+  const f = createFunction(expression);
+  const derivativeString = getDerivativeString(expression);
+
+  let iterations = [];
+
+  return {
+    /**
+     * Sets the starting bracket and resets iterations
+     * @param {number} a - One end of the interval
+     * @param {number} b - The other end of the interval
+     * @throws {Error} If the function is undefined at an endpoint or does not change sign
+     */
+    setInitialGuess(a, b) {
+      if (!isFinite(b)) {
+        throw new Error('Bisection needs an interval [a, b]');
+      }
+      if (a === b) {
+        throw new Error('The interval endpoints a and b must be different');
+      }
+
+      const lo = Math.min(a, b);
+      const hi = Math.max(a, b);
+      const fa = f(lo);
+      const fb = f(hi);
+
+      if (!isFinite(fa)) {
+        throw new Error(`Function is undefined at x = ${lo.toFixed(4)} (vertical asymptote or singularity)`);
+      }
+      if (!isFinite(fb)) {
+        throw new Error(`Function is undefined at x = ${hi.toFixed(4)} (vertical asymptote or singularity)`);
+      }
+      if (Math.sign(fa) * Math.sign(fb) > 0) {
+        throw new Error(`f(a) and f(b) have the same sign on [${lo.toFixed(4)}, ${hi.toFixed(4)}]. Bisection needs a sign change.`);
+      }
+
+      iterations = [bracketRecord(f, 0, { a: lo, b: hi, fa, fb })];
+    },
+
+    /**
+     * Performs the next iteration
+     * @returns {Object} Iteration data
+     */
+    nextIteration() {
+      if (iterations.length === 0) {
+        throw new Error('Initial guess not set');
+      }
+
+      const last = iterations[iterations.length - 1];
+      const bracket = bisectionIteration(f, last.a, last.b);
+      const iterationData = {
+        ...bracketRecord(f, iterations.length, bracket),
+        prevX: last.x
+      };
+
+      iterations.push(iterationData);
+      return iterationData;
+    },
+
+    /**
+     * Gets all iterations so far
+     * @returns {Array} All iteration data
+     */
+    getIterations() {
+      return [...iterations];
+    },
+
+    /**
+     * Gets the current midpoint
+     * @returns {number}
+     */
+    getCurrentX() {
+      return iterations.length > 0 ? iterations[iterations.length - 1].x : null;
+    },
+
+    /**
+     * Evaluates the function at a point
+     * @param {number} x
+     * @returns {number}
+     */
+    evaluate(x) {
+      return f(x);
+    },
+
+    /**
+     * Gets the derivative string (for display only, the method never uses it)
+     * @returns {string}
+     */
+    getDerivativeString() {
+      return derivativeString;
+    },
+
+    /**
+     * Checks if the method has converged, either because |f| at the midpoint
+     * or the bracket width dropped below the tolerance
+     * @param {number} tolerance - Convergence tolerance
+     * @returns {boolean}
+     */
+    hasConverged(tolerance = 1e-10) {
+      if (iterations.length < 2) return false;
+      const last = iterations[iterations.length - 1];
+      return Math.abs(last.fx) < tolerance || last.width < tolerance;
+    },
+
+    /**
+     * Resets the solver
+     */
+    reset() {
+      iterations = [];
+    }
+  };
+}
+
+/**
+ * Performs one step of the safeguarded Newton–bisection hybrid (rtsafe style).
+ * The Newton step is taken only when it lands strictly inside the bracket and is
+ * at most half as long as the previous step; otherwise the bracket is bisected.
+ * @param {Function} f - The function
+ * @param {Function} fPrime - The derivative function
+ * @param {number} x - Current guess, inside the bracket
+ * @param {number} a - Left end of the bracket
+ * @param {number} b - Right end of the bracket
+ * @param {number} prevStep - Length of the previous step
+ * @returns {{ nextX: number, step: 'newton' | 'bisection', newtonX: number | null }}
+ */
+export function hybridIteration(f, fPrime, x, a, b, prevStep) {
+  let newtonX = null;
+  try {
+    newtonX = newtonIteration(f, fPrime, x).nextX;
+  } catch {
+    // Zero derivative: fall through to bisection
+  }
+
+  const insideBracket = newtonX !== null && isFinite(newtonX) && newtonX > a && newtonX < b;
+  if (insideBracket && Math.abs(newtonX - x) <= prevStep / 2) {
+    return { nextX: newtonX, step: 'newton', newtonX };
+  }
+
+  return { nextX: (a + b) / 2, step: 'bisection', newtonX };
+}
+
+/**
+ * Keeps the half of [a, b] on which f still changes sign after evaluating a new point
+ * @param {{ a: number, b: number, fa: number, fb: number }} bracket
+ * @param {number} x - New point inside the bracket
+ * @param {number} fx - f(x)
+ * @returns {{ a: number, b: number, fa: number, fb: number }}
+ */
+function narrowBracket({ a, b, fa, fb }, x, fx) {
+  if (Math.sign(fa) * Math.sign(fx) <= 0) {
+    return { a, b: x, fa, fb: fx };
+  }
+  return { a: x, b, fa: fx, fb };
+}
+
+/**
+ * Creates a safeguarded Newton–bisection solver for a given expression.
+ * Has the same interface as createNewtonSolver, but starts from an interval [a, b]
+ * with a sign change and marks every step as "newton" or "bisection".
+ * @param {string} expression - Math expression like "x^2 - 2"
+ * @returns {Object} Solver object with methods
+ */
+export function createHybridSolver(expression) {
+  const f = createFunction(expression);
+  const fPrime = createDerivative(expression);
+  const derivativeString = getDerivativeString(expression);
+
+  let iterations = [];
+
+  return {
+    /**
+     * Sets the starting bracket and resets iterations. The first guess is its midpoint.
+     * @param {number} a - One end of the interval
+     * @param {number} b - The other end of the interval
+     * @throws {Error} If the function is undefined at an endpoint or does not change sign
+     */
+    setInitialGuess(a, b) {
+      if (!isFinite(b)) {
+        throw new Error('The hybrid method needs an interval [a, b]');
+      }
+      if (a === b) {
+        throw new Error('The interval endpoints a and b must be different');
+      }
+
+      const lo = Math.min(a, b);
+      const hi = Math.max(a, b);
+      const fa = f(lo);
+      const fb = f(hi);
+
+      if (!isFinite(fa)) {
+        throw new Error(`Function is undefined at x = ${lo.toFixed(4)} (vertical asymptote or singularity)`);
+      }
+      if (!isFinite(fb)) {
+        throw new Error(`Function is undefined at x = ${hi.toFixed(4)} (vertical asymptote or singularity)`);
+      }
+      if (Math.sign(fa) * Math.sign(fb) > 0) {
+        throw new Error(`f(a) and f(b) have the same sign on [${lo.toFixed(4)}, ${hi.toFixed(4)}]. The hybrid method needs a sign change.`);
+      }
+
+      const x0 = (lo + hi) / 2;
+      const fx0 = f(x0);
+      const fPrimeX0 = fPrime(x0);
+
+      if (!isFinite(fx0)) {
+        throw new Error(`Function is undefined at x = ${x0.toFixed(4)} (vertical asymptote or singularity)`);
+      }
+
+      iterations = [{
+        n: 0,
+        x: x0,
+        fx: fx0,
+        fPrimeX: fPrimeX0,
+        a: lo,
+        b: hi,
+        fa,
+        fb,
+        width: hi - lo
+      }];
+    },
+
+    /**
+     * Performs the next iteration
+     * @returns {Object} Iteration data
+     */
+    nextIteration() {
+      if (iterations.length === 0) {
+        throw new Error('Initial guess not set');
+      }
+
+      const last = iterations[iterations.length - 1];
+      // The starting record keeps the full interval for display, so narrow it by x0 first
+      const current = narrowBracket(last, last.x, last.fx);
+      const prevStep = last.prevX !== undefined ? Math.abs(last.x - last.prevX) : last.width;
+      const result = hybridIteration(f, fPrime, last.x, current.a, current.b, prevStep);
+
+      const nextFx = f(result.nextX);
+      const nextFPrimeX = fPrime(result.nextX);
+
+      if (!isFinite(nextFx)) {
+        throw new Error(`Iteration landed on a singularity at x = ${result.nextX.toFixed(4)}`);
+      }
+
+      const bracket = narrowBracket(current, result.nextX, nextFx);
+      const iterationData = {
+        n: iterations.length,
+        x: result.nextX,
+        fx: nextFx,
+        fPrimeX: nextFPrimeX,
+        prevX: last.x,
+        step: result.step,
+        rejectedNewtonX: result.step === 'bisection' ? result.newtonX : null,
+        ...bracket,
+        width: bracket.b - bracket.a
+      };
+
+      iterations.push(iterationData);
+      return iterationData;
+    },
+
+    /**
+     * Gets all iterations so far
+     * @returns {Array} All iteration data
+     */
+    getIterations() {
+      return [...iterations];
+    },
+
+    /**
+     * Gets the current x value
+     * @returns {number}
+     */
+    getCurrentX() {
+      return iterations.length > 0 ? iterations[iterations.length - 1].x : null;
+    },
+
+    /**
+     * Evaluates the function at a point
+     * @param {number} x
+     * @returns {number}
+     */
+    evaluate(x) {
+      return f(x);
+    },
+
+    /**
+     * Gets the derivative string
+     * @returns {string}
+     */
+    getDerivativeString() {
+      return derivativeString;
+    },
+
+    /**
+     * Checks if the method has converged, either because |f(x)|
+     * or the bracket width dropped below the tolerance
+     * @param {number} tolerance - Convergence tolerance
+     * @returns {boolean}
+     */
+    hasConverged(tolerance = 1e-10) {
+      if (iterations.length < 2) return false;
+      const last = iterations[iterations.length - 1];
+      return Math.abs(last.fx) < tolerance || last.width < tolerance;
+    },
+
+    /**
+     * Resets the solver
+     */
+    reset() {
+      iterations = [];
+    }
+  };
+}
+
+const HOUSEHOLDER_NAMES = {
+  2: "Halley's method",
+  3: "Householder's method"
+};
+
+/**
+ * Builds the osculating rational curve r(t) = (f + p·d) / (1 + q·d + s·d²), d = t - x,
+ * that matches f and its first `order` derivatives at x. Order 1 is the tangent line,
+ * order 2 the osculating hyperbola behind Halley's method, order 3 a [1/2] Padé fit.
+ * @param {number[]} values - [f(x), f'(x), f''(x), f'''(x)] up to the order
+ * @param {number} order - 1, 2 or 3
+ * @returns {{ p: number, q: number, s: number }}
+ */
+export function osculatingCurve(values, order) {
+  const [fx, f1, f2, f3] = values;
+  let q = 0;
+  let s = 0;
+
+  if (order === 2) {
+    q = -f2 / (2 * f1);
+  } else if (order === 3) {
+    q = (f1 * f2 / 2 - fx * f3 / 6) / (fx * f2 / 2 - f1 * f1);
+    s = -(f3 / 6 + f2 * q / 2) / f1;
+  }
+
+  return { p: f1 + fx * q, q, s };
+}
+
+/**
+ * Performs one iteration of Householder's method of the given order, by
+ * stepping to the zero of the osculating curve at x.
+ * Order 2 is Halley's method (cubic convergence); order 3 converges quartically.
+ * @param {Function[]} derivatives - [f, f', f'', f'''] up to the order
+ * @param {number} x - Current guess
+ * @param {number} order - 2 or 3
+ * @returns {{ nextX: number, values: number[], osculating: { p: number, q: number, s: number } }}
+ */
+export function householderIteration(derivatives, x, order) {
+  const values = derivatives.map(d => d(x));
+  const [fx, fPrimeX] = values;
+
+  if (Math.abs(fPrimeX) < 1e-12) {
+    throw new Error(`Derivative is zero at x = ${x}. ${HOUSEHOLDER_NAMES[order]} cannot continue.`);
+  }
+
+  const osculating = osculatingCurve(values, order);
+
+  if (!isFinite(osculating.p) || Math.abs(osculating.p) < 1e-12) {
+    throw new Error(`The osculating curve at x = ${x} never crosses the x-axis. ${HOUSEHOLDER_NAMES[order]} cannot continue.`);
+  }
+
+  return {
+    nextX: x - fx / osculating.p,
+    values,
+    osculating
+  };
+}
+
+/**
+ * Creates a Householder solver (Halley's method for order 2) for a given expression.
+ * Has the same interface as createNewtonSolver; each iteration also records the
+ * higher derivatives and the osculating curve used for the step.
+ * @param {string} expression - Math expression like "x^2 - 2"
+ * @param {number} order - 2 (Halley) or 3
+ * @returns {Object} Solver object with methods
+ */
+export function createHouseholderSolver(expression, order = 2) {
+  const derivatives = [createFunction(expression)];
+  for (let k = 1; k <= order; k++) {
+    derivatives.push(createDerivative(expression, k));
+  }
+  const [f] = derivatives;
+  const derivativeString = getDerivativeString(expression);
+  const methodName = HOUSEHOLDER_NAMES[order];
+
+  let iterations = [];
+  let currentX = null;
+
+  // Evaluates everything an iteration record needs at x
+  const evaluateAt = (x) => {
+    const values = derivatives.map(d => d(x));
+    const [fx, fPrimeX, fDoublePrimeX, fTriplePrimeX] = values;
+
+    if (!isFinite(fx)) {
+      throw new Error(`Function is undefined at x = ${x.toFixed(4)} (vertical asymptote or singularity)`);
+    }
+    if (!values.every(isFinite)) {
+      throw new Error(`Derivatives are undefined at x = ${x.toFixed(4)}`);
+    }
+
+    return {
+      x,
+      fx,
+      fPrimeX,
+      fDoublePrimeX,
+      fTriplePrimeX,
+      osculating: osculatingCurve(values, order)
+    };
+  };
+
+  return {
+    /**
+     * Sets the initial guess and resets iterations
+     * @param {number} x0 - Initial guess
+     * @throws {Error} If the function or its derivatives are undefined at x0
+     */
+    setInitialGuess(x0) {
+      const record = evaluateAt(x0);
+      currentX = x0;
+      iterations = [{ n: 0, ...record }];
+    },
+
+    /**
+     * Performs the next iteration
+     * @returns {Object} Iteration data
+     */
+    nextIteration() {
+      if (currentX === null) {
+        throw new Error('Initial guess not set');
+      }
+
+      const result = householderIteration(derivatives, currentX, order);
+
+      if (!isFinite(result.nextX)) {
+        throw new Error(`${methodName} diverged to infinity`);
+      }
+
+      let record;
+      try {
+        record = evaluateAt(result.nextX);
+      } catch {
+        throw new Error(`Iteration landed on a singularity at x = ${result.nextX.toFixed(4)}`);
+      }
+
+      const iterationData = {
+        n: iterations.length,
+        ...record,
+        prevX: currentX
+      };
+
+      currentX = result.nextX;
+      iterations.push(iterationData);
+      return iterationData;
+    },
+
+    /**
+     * Gets all iterations so far
+     * @returns {Array} All iteration data
+     */
+    getIterations() {
+      return [...iterations];
+    },
+
+    /**
+     * Gets the current x value
+     * @returns {number}
+     */
+    getCurrentX() {
+      return currentX;
+    },
+
+    /**
+     * Evaluates the function at a point
+     * @param {number} x
+     * @returns {number}
+     */
+    evaluate(x) {
+      return f(x);
+    },
+
+    /**
+     * Gets the derivative string
+     * @returns {string}
+     */
+    getDerivativeString() {
+      return derivativeString;
+    },
+
+    /**
+     * Checks if the method has converged
+     * @param {number} tolerance - Convergence tolerance
+     * @returns {boolean}
+     */
+    hasConverged(tolerance = 1e-10) {
+      if (iterations.length < 2) return false;
+      const lastFx = iterations[iterations.length - 1].fx;
+      return Math.abs(lastFx) < tolerance;
+    },
+
+    /**
+     * Resets the solver
+     */
+    reset() {
+      iterations = [];
+      currentX = null;
+    }
+  };
+}
+
+/**
+ * Estimates the multiplicity of the root being approached from u = f/f'.
+ * Near a root of multiplicity m, u(x) ≈ (x - r)/m, so m ≈ 1/u'(x) = f'² / (f'² - f·f'').
+ * @param {number} fx - f(x)
+ * @param {number} fPrimeX - f'(x)
+ * @param {number} fDoublePrimeX - f''(x)
+ * @returns {number} The (unrounded) multiplicity estimate
+ */
+export function estimateMultiplicity(fx, fPrimeX, fDoublePrimeX) {
+  return (fPrimeX * fPrimeX) / (fPrimeX * fPrimeX - fx * fDoublePrimeX);
+}
+
+/**
+ * Performs one iteration of Newton's method modified for multiple roots
+ * @param {number} x - Current guess
+ * @param {number} fx - f(x)
+ * @param {number} fPrimeX - f'(x)
+ * @param {number} multiplicity - The m used in x - m·f/f'
+ * @returns {{ nextX: number }}
+ */
+export function modifiedNewtonIteration(x, fx, fPrimeX, multiplicity) {
+  if (Math.abs(fPrimeX) < 1e-12) {
+    throw new Error(`Derivative is zero at x = ${x}. Modified Newton cannot continue.`);
+  }
+  if (!isFinite(multiplicity) || multiplicity === 0) {
+    throw new Error(`Multiplicity estimate broke down at x = ${x} (u'(x) = 0). Modified Newton cannot continue.`);
+  }
+
+  return { nextX: x - multiplicity * fx / fPrimeX };
+}
+
+/**
+ * Creates a Newton solver for roots of multiplicity m > 1, where plain Newton
+ * only converges linearly. Has the same interface as createNewtonSolver.
+ * The "rounded" variant uses x - m·f/f' with m rounded to a whole number;
+ * the "ratio" variant is Newton applied to u = f/f', which is the same update
+ * with the unrounded estimate.
+ * @param {string} expression - Math expression like "(x-1)^3"
+ * @param {'rounded' | 'ratio'} variant - Which update to use
+ * @returns {Object} Solver object with methods
+ */
+export function createModifiedNewtonSolver(expression, variant = 'rounded') {
+  const f = createFunction(expression);
+  const fPrime = createDerivative(expression);
+  const fDoublePrime = createDerivative(expression, 2);
+  const derivativeString = getDerivativeString(expression);
+
+  let iterations = [];
+  let currentX = null;
+
+  // Evaluates f, f', f'' and the multiplicity estimate at x
+  const evaluateAt = (x) => {
+    const fx = f(x);
+    const fPrimeX = fPrime(x);
+    const fDoublePrimeX = fDoublePrime(x);
+
+    if (!isFinite(fx)) {
+      throw new Error(`Function is undefined at x = ${x.toFixed(4)} (vertical asymptote or singularity)`);
+    }
+    if (!isFinite(fPrimeX) || !isFinite(fDoublePrimeX)) {
+      throw new Error(`Derivative is undefined at x = ${x.toFixed(4)}`);
+    }
+
+    const multiplicityEstimate = estimateMultiplicity(fx, fPrimeX, fDoublePrimeX);
+    const multiplicity = variant === 'ratio'
+      ? multiplicityEstimate
+      : (isFinite(multiplicityEstimate) ? Math.max(1, Math.round(multiplicityEstimate)) : 1);
+
+    return { x, fx, fPrimeX, fDoublePrimeX, multiplicityEstimate, multiplicity };
+  };
+
+  return {
+    /**
+     * Sets the initial guess and resets iterations
+     * @param {number} x0 - Initial guess
+     * @throws {Error} If the function or its derivatives are undefined at x0
+     */
+    setInitialGuess(x0) {
+      const record = evaluateAt(x0);
+      currentX = x0;
+      iterations = [{ n: 0, ...record }];
+    },
+
+    /**
+     * Performs the next iteration
+     * @returns {Object} Iteration data
+     */
+    nextIteration() {
+      if (currentX === null) {
+        throw new Error('Initial guess not set');
+      }
+
+      const last = iterations[iterations.length - 1];
+      const result = modifiedNewtonIteration(last.x, last.fx, last.fPrimeX, last.multiplicity);
+
+      if (!isFinite(result.nextX)) {
+        throw new Error('Modified Newton diverged to infinity');
+      }
+
+      let record;
+      try {
+        record = evaluateAt(result.nextX);
+      } catch {
+        throw new Error(`Iteration landed on a singularity at x = ${result.nextX.toFixed(4)}`);
+      }
+
+      // Ratio of consecutive step lengths: tends to (m-1)/m for plain Newton on
+      // a root of multiplicity m, and to 0 once quadratic convergence is restored
+      const step = Math.abs(result.nextX - last.x);
+      const prevStep = last.prevX !== undefined ? Math.abs(last.x - last.prevX) : null;
+
+      const iterationData = {
+        n: iterations.length,
+        ...record,
+        prevX: last.x,
+        stepRatio: prevStep ? step / prevStep : undefined
+      };
+
+      currentX = result.nextX;
+      iterations.push(iterationData);
+      return iterationData;
+    },
+
+    /**
+     * Gets all iterations so far
+     * @returns {Array} All iteration data
+     */
+    getIterations() {
+      return [...iterations];
+    },
+
+    /**
+     * Gets the current x value
+     * @returns {number}
+     */
+    getCurrentX() {
+      return currentX;
+    },
+
+    /**
+     * Evaluates the function at a point
+     * @param {number} x
+     * @returns {number}
+     */
+    evaluate(x) {
+      return f(x);
+    },
+
+    /**
+     * Gets the derivative string
+     * @returns {string}
+     */
+    getDerivativeString() {
+      return derivativeString;
+    },
+
+    /**
+     * Checks if the method has converged
+     * @param {number} tolerance - Convergence tolerance
+     * @returns {boolean}
+     */
+    hasConverged(tolerance = 1e-10) {
+      if (iterations.length < 2) return false;
+      const lastFx = iterations[iterations.length - 1].fx;
+      return Math.abs(lastFx) < tolerance;
+    },
+
+    /**
+     * Resets the solver
+     */
+    reset() {
+      iterations = [];
+      currentX = null;
+    }
+  };
+}
+
+/**
+ * Performs one iteration of Steffensen's method, which replaces f'(x) with the
+ * slope estimate g(x) = (f(x + f(x)) - f(x)) / f(x) of the line through
+ * (x, f(x)) and the auxiliary point (x + f(x), f(x + f(x))).
+ * At an exact root g(x) would be 0/0, so the step stays at x and the run can stop there.
+ * @param {Function} f - The function
+ * @param {number} x - Current guess
+ * @returns {{ nextX: number, fx: number, auxX: number, auxFx: number, slopeEstimate: number }}
+ */
+export function steffensenIteration(f, x) {
+  const fx = f(x);
+  if (fx === 0) {
+    return { nextX: x, fx, auxX: x, auxFx: fx, slopeEstimate: NaN };
+  }
+
+  const auxX = x + fx;
+  const auxFx = f(auxX);
+  const slopeEstimate = (auxFx - fx) / fx;
+
+  if (!isFinite(slopeEstimate) || Math.abs(slopeEstimate) < 1e-12) {
+    throw new Error(`Slope estimate g(x) broke down at x = ${x}. Steffensen's method cannot continue.`);
+  }
+
+  return {
+    nextX: x - fx / slopeEstimate,
+    fx,
+    auxX,
+    auxFx,
+    slopeEstimate
+  };
+}
+
+/**
+ * Creates a Steffensen solver for a given expression.
+ * Has the same interface as createNewtonSolver, but never differentiates:
+ * each record carries the auxiliary point and the slope estimate instead of f'(x).
+ * @param {string} expression - Math expression like "x^2 - 2"
+ * @returns {Object} Solver object with methods
+ */
+export function createSteffensenSolver(expression) {
+  const f = createFunction(expression);
+  const derivativeString = getDerivativeString(expression);
+
+  let iterations = [];
+  let currentX = null;
+
+  // Evaluates f and the auxiliary point at x
+  const evaluateAt = (x) => {
+    const fx = f(x);
+
+    if (!isFinite(fx)) {
+      throw new Error(`Function is undefined at x = ${x.toFixed(4)} (vertical asymptote or singularity)`);
+    }
+
+    const auxX = x + fx;
+    const auxFx = f(auxX);
+
+    return {
+      x,
+      fx,
+      auxX,
+      auxFx,
+      slopeEstimate: (auxFx - fx) / fx
+    };
+  };
+
+  return {
+    /**
+     * Sets the initial guess and resets iterations
+     * @param {number} x0 - Initial guess
+     * @throws {Error} If the function is undefined at x0
+     */
+    setInitialGuess(x0) {
+      const record = evaluateAt(x0);
+      currentX = x0;
+      iterations = [{ n: 0, ...record }];
+    },
+
+    /**
+     * Performs the next iteration
+     * @returns {Object} Iteration data
+     */
+    nextIteration() {
+      if (currentX === null) {
+        throw new Error('Initial guess not set');
+      }
+
+      const result = steffensenIteration(f, currentX);
+
+      if (!isFinite(result.nextX)) {
+        throw new Error('Steffensen\'s method diverged to infinity');
+      }
+
+      let record;
+      try {
+        record = evaluateAt(result.nextX);
+      } catch {
+        throw new Error(`Iteration landed on a singularity at x = ${result.nextX.toFixed(4)}`);
+      }
+
+      const iterationData = {
+        n: iterations.length,
+        ...record,
+        prevX: currentX
+      };
+
+      currentX = result.nextX;
+      iterations.push(iterationData);
+      return iterationData;
+    },
+
+    /**
+     * Gets all iterations so far
+     * @returns {Array} All iteration data
+     */
+    getIterations() {
+      return [...iterations];
+    },
+
+    /**
+     * Gets the current x value
+     * @returns {number}
+     */
+    getCurrentX() {
+      return currentX;
+    },
+
+    /**
+     * Evaluates the function at a point
+     * @param {number} x
+     * @returns {number}
+     */
+    evaluate(x) {
+      return f(x);
+    },
+
+    /**
+     * Gets the derivative string (for display only, the method never uses it)
+     * @returns {string}
+     */
+    getDerivativeString() {
+      return derivativeString;
+    },
+
+    /**
+     * Checks if the method has converged
+     * @param {number} tolerance - Convergence tolerance
+     * @returns {boolean}
+     */
+    hasConverged(tolerance = 1e-10) {
+      if (iterations.length < 2) return false;
+      const lastFx = iterations[iterations.length - 1].fx;
+      return Math.abs(lastFx) < tolerance;
+    },
+
+    /**
+     * Resets the solver
+     */
+    reset() {
+      iterations = [];
+      currentX = null;
+    }
+  };
+}
+
+/**
+ * Performs one iteration of Newton's method for optimization, which is Newton's
+ * method on f′. The next point is the vertex of the local quadratic model
+ * q(t) = f(x) + f′(x)(t − x) + ½f″(x)(t − x)².
+ * @param {Function} fPrime - First derivative
+ * @param {Function} fDoublePrime - Second derivative
+ * @param {number} x - Current guess
+ * @returns {{ nextX: number, fPrimeX: number, fDoublePrimeX: number }}
+ */
+export function optimizationIteration(fPrime, fDoublePrime, x) {
+  const fPrimeX = fPrime(x);
+  const fDoublePrimeX = fDoublePrime(x);
+
+  if (Math.abs(fDoublePrimeX) < 1e-12) {
+    throw new Error(`f''(x) is zero at x = ${x}, so the quadratic model has no vertex. Newton's method cannot continue.`);
+  }
+
+  return {
+    nextX: x - fPrimeX / fDoublePrimeX,
+    fPrimeX,
+    fDoublePrimeX
+  };
+}
+
+/**
+ * Classifies a critical point by the second-derivative test
+ * @param {number} fDoublePrimeX - f″ at the critical point
+ * @returns {'minimum' | 'maximum' | 'degenerate'} 'degenerate' when f″ ≈ 0 and the test says nothing
+ */
+export function classifyCriticalPoint(fDoublePrimeX) {
+  if (Math.abs(fDoublePrimeX) < 1e-12) return 'degenerate';
+  return fDoublePrimeX > 0 ? 'minimum' : 'maximum';
+}
+
+/**
+ * Creates a Newton solver that looks for critical points, f′(x) = 0.
+ * Has the same interface as createNewtonSolver. Records keep f(x) in `fx` so
+ * the iterates sit on the curve, carry f′(x) as the `residual` the stopping
+ * test drives to zero, and hold the vertex of the quadratic model (null when
+ * f″(x) = 0 and the model is a line).
+ * @param {string} expression - Math expression like "x^4 - 3x^2 + x"
+ * @returns {Object} Solver object with methods
+ */
+export function createOptimizationSolver(expression) {
+  const f = createFunction(expression);
+  const fPrime = createDerivative(expression);
+  const fDoublePrime = createDerivative(expression, 2);
+  const derivativeString = getDerivativeString(expression);
+
+  let iterations = [];
+  let currentX = null;
+
+  // Evaluates f, f′, f″ and the model's vertex at x
+  const evaluateAt = (x) => {
+    const fx = f(x);
+    const fPrimeX = fPrime(x);
+    const fDoublePrimeX = fDoublePrime(x);
+
+    if (!isFinite(fx)) {
+      throw new Error(`Function is undefined at x = ${x.toFixed(4)} (vertical asymptote or singularity)`);
+    }
+    if (!isFinite(fPrimeX) || !isFinite(fDoublePrimeX)) {
+      throw new Error(`A derivative is undefined at x = ${x.toFixed(4)}`);
+    }
+
+    const hasVertex = Math.abs(fDoublePrimeX) >= 1e-12;
+    return {
+      x,
+      fx,
+      fPrimeX,
+      fDoublePrimeX,
+      residual: fPrimeX,
+      vertex: hasVertex
+        ? { x: x - fPrimeX / fDoublePrimeX, y: fx - (fPrimeX * fPrimeX) / (2 * fDoublePrimeX) }
+        : null
+    };
+  };
+
+  return {
+    /**
+     * Sets the initial guess and resets iterations
+     * @param {number} x0 - Initial guess
+     * @throws {Error} If the function is undefined at x0
+     */
+    setInitialGuess(x0) {
+      const record = evaluateAt(x0);
+      currentX = x0;
+      iterations = [{ n: 0, ...record }];
+    },
+
+    /**
+     * Performs the next iteration
+     * @returns {Object} Iteration data
+     */
+    nextIteration() {
+      if (currentX === null) {
+        throw new Error('Initial guess not set');
+      }
+
+      const result = optimizationIteration(fPrime, fDoublePrime, currentX);
+
+      if (!isFinite(result.nextX)) {
+        throw new Error('Newton\'s method diverged to infinity');
+      }
+
+      let record;
+      try {
+        record = evaluateAt(result.nextX);
+      } catch {
+        throw new Error(`Iteration landed on a singularity at x = ${result.nextX.toFixed(4)}`);
+      }
+
+      const iterationData = {
+        n: iterations.length,
+        ...record,
+        prevX: currentX
+      };
+
+      currentX = result.nextX;
+      iterations.push(iterationData);
+      return iterationData;
+    },
+
+    /**
+     * Gets all iterations so far
+     * @returns {Array} All iteration data
+     */
+    getIterations() {
+      return [...iterations];
+    },
+
+    /**
+     * Gets the current x value
+     * @returns {number}
+     */
+    getCurrentX() {
+      return currentX;
+    },
+
+    /**
+     * Evaluates the function at a point
+     * @param {number} x
+     * @returns {number}
+     */
+    evaluate(x) {
+      return f(x);
+    },
+
+    /**
+     * Gets the derivative string
+     * @returns {string}
+     */
+    getDerivativeString() {
+      return derivativeString;
+    },
+
+    /**
+     * Checks if the method has converged to a critical point
+     * @param {number} tolerance - Convergence tolerance on |f′(x)|
+     * @returns {boolean}
+     */
+    hasConverged(tolerance = 1e-10) {
+      if (iterations.length < 2) return false;
+      return Math.abs(iterations[iterations.length - 1].residual) < tolerance;
+    },
+
+    /**
+     * Resets the solver
+     */
+    reset() {
+      iterations = [];
+      currentX = null;
+    }
+  };
+}
+
+/**
+ * Available root-finding methods, in the order they appear in the method selector
+ */
+export const SOLVER_METHODS = [
+  { id: 'newton', label: "Newton's method", startingPoints: 1 },
+  { id: 'secant', label: 'Secant method', startingPoints: 2 },
+  { id: 'bisection', label: 'Bisection', startingPoints: 2, bracketing: true },
+  { id: 'hybrid', label: 'Newton–bisection hybrid', startingPoints: 2, bracketing: true },
+  { id: 'halley', label: "Halley's method", startingPoints: 1 },
+  { id: 'householder', label: "Householder's method (order 3)", startingPoints: 1 },
+  { id: 'modified', label: 'Modified Newton (x − m·f/f′)', startingPoints: 1 },
+  { id: 'newton-ratio', label: "Newton on u = f/f′", startingPoints: 1 },
+  { id: 'steffensen', label: "Steffensen's method", startingPoints: 1 },
+  { id: 'complex', label: 'Newton in ℂ (fractal)', startingPoints: 1, complex: true },
+  { id: 'interval', label: 'Interval Newton (certified)', startingPoints: 2, bracketing: true },
+  { id: 'system', label: 'Newton for 2×2 systems', startingPoints: 1, system: true },
+  { id: 'optimize', label: "Optimize (Newton on f′)", startingPoints: 1, optimization: true }
+];
+
+/**
+ * Creates a solver for the chosen method
+ * @param {string} expression - Math expression like "x^2 - 2"
+ * @param {string} method - One of the ids in SOLVER_METHODS
+ * @param {Object} options - Method options (damping for Newton)
+ * @returns {Object} Solver object with methods
+ */
+export function createSolver(expression, method = 'newton', options = {}) {
+  switch (method) {
+    case 'newton':
+      return createNewtonSolver(expression, options);
+    case 'secant':
+      return createSecantSolver(expression);
+    case 'bisection':
+      return createBisectionSolver(expression);
+    case 'hybrid':
+      return createHybridSolver(expression);
+    case 'halley':
+      return createHouseholderSolver(expression, 2);
+    case 'householder':
+      return createHouseholderSolver(expression, 3);
+    case 'modified':
+      return createModifiedNewtonSolver(expression, 'rounded');
+    case 'newton-ratio':
+      return createModifiedNewtonSolver(expression, 'ratio');
+    case 'steffensen':
+      return createSteffensenSolver(expression);
+    case 'complex':
+      return createComplexNewtonSolver(expression);
+    case 'interval':
+      return createIntervalNewtonSolver(expression);
+    case 'system':
+      return createSystemNewtonSolver(expression);
+    case 'optimize':
+      return createOptimizationSolver(expression);
+    default:
+      throw new Error(`Unknown method: ${method}`);
+  }
+}
+
+/**
+ * Runs a solver from one starting point and classifies where it ends up,
+ * for basin-of-attraction plots. The solver is reused, so its state is replaced.
+ * @param {Object} solver - A one-point solver from createSolver
+ * @param {number} x0 - Starting point
+ * @param {Object} options
+ * @param {number} options.maxIterations - Give up after this many steps (default: 50)
+ * @param {number} options.divergenceBound - Iterates beyond this magnitude count as diverged (default: 1e8)
+ * @returns {{ outcome: 'converged' | 'diverged' | 'cycle' | 'failed', root?: number, iterations: number }}
+ */
+export function classifyStartingPoint(solver, x0, { maxIterations = 50, divergenceBound = 1e8 } = {}) {
+  const history = [];
+
+  try {
+    solver.setInitialGuess(x0);
+    history.push(solver.getCurrentX());
+
+    for (let i = 1; i <= maxIterations; i++) {
+      solver.nextIteration();
+      const x = solver.getCurrentX();
+      history.push(x);
+
+      if (solver.hasConverged()) {
+        return { outcome: 'converged', root: x, iterations: i };
+      }
+      if (!isFinite(x) || Math.abs(x) > divergenceBound) {
+        return { outcome: 'diverged', iterations: i };
+      }
+    }
+  } catch {
+    return { outcome: 'failed', iterations: history.length - 1 };
+  }
+
+  // Iterates that keep revisiting the same few points are a cycle rather than a slow crawl
+  const last = history[history.length - 1];
+  for (let period = 2; period <= 4; period++) {
+    const earlier = history[history.length - 1 - period];
+    if (Math.abs(last - earlier) < 1e-6 * (1 + Math.abs(last))) {
+      return { outcome: 'cycle', iterations: maxIterations };
+    }
+  }
+
+  return { outcome: 'diverged', iterations: maxIterations };
+}
+
+/**
+ * Signed step x_n − x_{n−1} between two iteration records. When the records
+ * carry BigNumber or Fraction iterates the step is taken from those, so it does
+ * not round to zero once the iterates agree to 16 digits.
+ * @param {Object} prev - Record for x_{n−1}
+ * @param {Object} next - Record for x_n
+ * @returns {number}
+ */
+export function getIterationStep(prev, next) {
+  if (prev.xBig !== undefined && next.xBig !== undefined) {
+    return next.xBig.minus(prev.xBig).toNumber();
+  }
+  if (prev.xExact !== undefined && next.xExact !== undefined) {
+    return next.xExact.sub(prev.xExact).valueOf();
+  }
+  return next.x - prev.x;
+}
+
+/**
+ * Relative size below which steps of a record are rounding noise:
+ * about 1e-13 in float64, 1000 units in the last digit for BigNumbers,
+ * and none for exact Fractions
+ * @param {Object} iter - Iteration record
+ * @returns {number}
+ */
+export function getRoundingFloor(iter) {
+  if (iter.xExact !== undefined) {
+    return 0;
+  }
+  if (iter.xBig !== undefined) {
+    return Math.pow(10, 3 - iter.xBig.constructor.precision);
+  }
+  return 1e-13;
+}
+
+/**
+ * Default stopping rule: stop once |f(x_n)| < 1e-10, as hasConverged does
+ */
+export const DEFAULT_STOPPING_CRITERIA = {
+  fTolerance: 1e-10,
+  stepTolerance: null,
+  relativeStepTolerance: null,
+  maxIterations: null,
+  combine: 'or'
+};
+
+/**
+ * Describes one stopping criterion with its tolerance, e.g. "|f(xₙ)| < 1e-10"
+ * @param {string} name - 'f', 'gradient', 'step', 'relativeStep', 'maxIterations' or 'resolved'
+ * @param {Object} criteria - The stopping criteria in use
+ * @returns {string}
+ */
+export function describeStoppingCriterion(name, criteria) {
+  switch (name) {
+    case 'f':
+      return `|f(xₙ)| < ${criteria.fTolerance}`;
+    case 'gradient':
+      return `|f′(xₙ)| < ${criteria.fTolerance}`;
+    case 'step':
+      return `|xₙ − xₙ₋₁| < ${criteria.stepTolerance}`;
+    case 'relativeStep':
+      return `|xₙ − xₙ₋₁| / |xₙ| < ${criteria.relativeStepTolerance}`;
+    case 'maxIterations':
+      return `n = ${criteria.maxIterations} (maximum iterations)`;
+    case 'resolved':
+      return 'every box resolved';
+    default:
+      return name;
+  }
+}
+
+/**
+ * Length of the step between two records: |z_n − z_{n−1}| for complex
+ * iterates, the Euclidean distance for points of a 2×2 system
+ * @param {Object} prev
+ * @param {Object} next
+ * @returns {number}
+ */
+function getStepLength(prev, next) {
+  if (prev.z && next.z) {
+    return next.z.sub(prev.z).abs();
+  }
+  if (prev.y !== undefined && next.y !== undefined) {
+    return Math.hypot(next.x - prev.x, next.y - prev.y);
+  }
+  return Math.abs(getIterationStep(prev, next));
+}
+
+/**
+ * Size of an iterate, for relative steps
+ * @param {Object} iter
+ * @returns {number}
+ */
+function getMagnitude(iter) {
+  if (iter.z) return iter.z.abs();
+  if (iter.y !== undefined) return Math.hypot(iter.x, iter.y);
+  return Math.abs(iter.x);
+}
+
+/**
+ * Checks the iterations so far against configurable stopping criteria.
+ * The tolerance tests (|f|, |Δx| and |Δx|/|x|) that are switched on are joined
+ * with AND or OR; the iteration cap always stops the run on its own.
+ * Bracketing methods use the bracket width as the step, since it bounds the error;
+ * complex iterations measure the step as |z_n − z_{n−1}| and systems as the
+ * distance between points, with ‖F‖ as |f|. Optimization drives f′ to zero, so
+ * there the |f| test is applied to |f′(xₙ)| and fires as 'gradient'. Interval Newton moves
+ * between boxes, so it ignores the tolerances and stops once no box is left.
+ * @param {Array} iterations - Iteration records from a solver
+ * @param {Object} criteria - See DEFAULT_STOPPING_CRITERIA; null disables a test
+ * @param {number} startCount - How many leading records are starting points (default: 1)
+ * @returns {{ stop: boolean, converged: boolean, fired: string[], values: Object } | null}
+ *   null until there is a computed step to test
+ */
+export function checkStoppingCriteria(iterations, criteria = DEFAULT_STOPPING_CRITERIA, startCount = 1) {
+  const steps = iterations.length - startCount;
+  if (steps < 1) return null;
+
+  const last = iterations[iterations.length - 1];
+  const prev = iterations[iterations.length - 2];
+  const step = last.width !== undefined ? last.width : getStepLength(prev, last);
+  const magnitude = getMagnitude(last);
+  const values = {
+    f: Math.abs(last.residual ?? last.fx),
+    step,
+    relativeStep: magnitude > 0 ? step / magnitude : Infinity,
+    iterations: steps
+  };
+
+  if (last.pending !== undefined) {
+    const resolved = last.pending === 0;
+    const hitCap = !resolved && !!criteria.maxIterations && steps >= criteria.maxIterations;
+    return {
+      stop: resolved || hitCap,
+      converged: resolved,
+      fired: [...(resolved ? ['resolved'] : []), ...(hitCap ? ['maxIterations'] : [])],
+      values
+    };
+  }
+
+  const tests = [
+    ['f', criteria.fTolerance],
+    ['step', criteria.stepTolerance],
+    ['relativeStep', criteria.relativeStepTolerance]
+  ].filter(([, tolerance]) => tolerance !== null && tolerance !== undefined);
+
+  const passed = tests
+    .filter(([name, tolerance]) => values[name] < tolerance)
+    .map(([name]) => (name === 'f' && last.residual !== undefined ? 'gradient' : name));
+  const converged = tests.length > 0 && (criteria.combine === 'and'
+    ? passed.length === tests.length
+    : passed.length > 0);
+  const hitCap = !!criteria.maxIterations && steps >= criteria.maxIterations;
+
+  const fired = converged ? passed : [];
+  if (hitCap && !converged) fired.push('maxIterations');
+
+  return {
+    stop: converged || hitCap,
+    converged,
+    fired,
+    values
+  };
+}
+
+/**
+ * Estimates the order of convergence from the iterates. The root is unknown,
+ * so the step e_n = |x_{n+1} − x_n| stands in for the error of x_n, and
+ * q_n = log(e_{n+1}/e_n) / log(e_n/e_{n−1}). Steps down at the rounding
+ * floor carry no information and are left out.
+ * @param {Array} iterations - Iteration records (complex records use z, systems x and y)
+ * @returns {{ steps: Array<number|undefined>, orders: Array<number|undefined>, errorConstants: Array<number|undefined>, observedOrder: number | null }}
+ *   Per-record values (undefined where they cannot be computed yet) and the latest order
+ */
+export function estimateConvergenceOrder(iterations) {
+  const steps = iterations.map((iter, n) => {
+    if (n + 1 >= iterations.length) return undefined;
+    const next = iterations[n + 1];
+    return getStepLength(iter, next);
+  });
+  const isUsable = (n) => {
+    if (steps[n] === undefined || !isFinite(steps[n])) return false;
+    const iter = iterations[n];
+    return steps[n] > getRoundingFloor(iter) * (1 + getMagnitude(iter));
+  };
+
+  const orders = steps.map((_, n) => {
+    if (n < 1 || !isUsable(n - 1) || !isUsable(n) || !isUsable(n + 1)) return undefined;
+    const q = Math.log(steps[n + 1] / steps[n]) / Math.log(steps[n] / steps[n - 1]);
+    return isFinite(q) ? q : undefined;
+  });
+
+  const definedOrders = orders.filter(q => q !== undefined);
+  const observedOrder = definedOrders.length > 0 ? definedOrders[definedOrders.length - 1] : null;
+
+  // C_n = e_{n+1} / e_n^q with the observed order q
+  const errorConstants = steps.map((step, n) => (
+    observedOrder !== null && isUsable(n) && isUsable(n + 1)
+      ? steps[n + 1] / Math.pow(step, observedOrder)
+      : undefined
+  ));
+
+  return { steps, orders, errorConstants, observedOrder };
+}
+
+/**
+ * Names an observed order of convergence
+ * @param {number} order - Observed order q
+ * @returns {string} e.g. "quadratic"
+ */
+export function describeConvergenceOrder(order) {
+  if (order < 0.8) return 'sublinear';
+  if (order < 1.3) return 'linear';
+  if (order < 1.8) return 'superlinear';
+  if (order < 2.5) return 'quadratic';
+  if (order < 3.5) return 'cubic';
+  if (order < 4.5) return 'quartic';
+  return 'higher than quartic';
+}
+
+/**
+ * Calculates convergence progress from initial |f(x)| toward target
+ * @param {number} currentFx - Current |f(x)| value
+ * @param {number} initialFx - Initial |f(x₀)| value (starting point)
+ * @param {number} targetFx - Target |f(x)| for convergence (default 1e-10)
+ * @returns {number} Progress from 0 (start) to 1 (converged)
+ */
+export function getConvergenceProgress(currentFx, initialFx, targetFx = 1e-10) {
+  // Use absolute values
+  const current = Math.abs(currentFx);
+  const initial = Math.abs(initialFx);
+  const target = targetFx;
+
+  // Handle edge cases
+  if (initial <= target || current <= 0) {
+    return 1; // Already converged
+  }
+  if (current >= initial) {
+    return 0; // At or worse than start
+  }
+
+  // Use logarithmic scale for progress calculation
+  // progress = 0 when current = initial, progress = 1 when current = target
+  const logInitial = Math.log10(initial);
+  const logCurrent = Math.log10(Math.max(current, target)); // Clamp to target
+  const logTarget = Math.log10(target);
+
+  return Math.min(1, Math.max(0, (logInitial - logCurrent) / (logInitial - logTarget)));
+}
+
+/**
+ * Generates colors for iterations based on convergence progress
+ * @param {number} currentFx - Current |f(x)| value
+ * @param {number} initialFx - Initial |f(x₀)| value (starting point)
+ * @param {number} targetFx - Target |f(x)| for convergence (default 1e-10)
+ * @returns {string} HSL color string
+ */
+export function getIterationColor(currentFx, initialFx, targetFx = 1e-10) {
+  // Start at blue (200), end at green (120)
+  const startHue = 200;
+  const endHue = 120;
+
+  const progress = getConvergenceProgress(currentFx, initialFx, targetFx);
+  const hue = startHue + (endHue - startHue) * progress;
+  return `hsl(${hue}, 70%, 50%)`;
+}
+
+/**
+ * Picks a hue for the root with the given index, spreading consecutive roots
+ * around the color wheel by the golden angle
+ * @param {number} index - Index of the root in discovery order
+ * @returns {number} Hue in degrees
+ */
+export function getRootHue(index) {
+  return (210 + index * 137.508) % 360;
+}
+
+/**
+ * Counts the correct significant digits of an iterate from its relative error
+ * to a reference root, ⌊−log₁₀(|x − root| / |root|)⌋. Against a root of zero,
+ * counts the zero decimal places of the iterate instead.
+ * @param {number | BigNumber} x - Iterate
+ * @param {number | BigNumber} root - Reference root, of the same type as x
+ * @param {number} digits - Most digits to report (default: 16)
+ * @returns {number} Correct digits, from 0 to digits
+ */
+export function countCorrectDigits(x, root, digits = 16) {
+  if (!isFinite(Number(x)) || !isFinite(Number(root))) return 0;
+
+  const clamp = (count) => Math.min(digits, Math.max(0, count));
+
+  if (Number(root) === 0 && (!isBigNumber(root) || root.isZero())) {
+    if (Number(x) === 0 && (!isBigNumber(x) || x.isZero())) return digits;
+    const [, xExponent] = x.toExponential(0).split('e');
+    return clamp(-Number(xExponent) - 1);
+  }
+
+  if (isBigNumber(x)) {
+    const relativeError = x.minus(root).div(root).abs();
+    return relativeError.isZero() ? digits : clamp(Math.floor(-relativeError.log(10).toNumber()));
+  }
+  const relativeError = Math.abs((x - root) / root);
+  return relativeError === 0 ? digits : clamp(Math.floor(-Math.log10(relativeError)));
 }
@@ -0,0 +1,301 @@
+import { parse, complex } from 'mathjs';
+
+/**
+ * Polynomials in x, stored as arrays of real coefficients from the highest
+ * degree down: [1, 0, -2] is x² − 2.
+ */
+
+// Larger degrees are left to the general solvers
+const MAX_DEGREE = 60;
+const MAX_ABERTH_ITERATIONS = 500;
+
+function trimLeadingZeros(p) {
+  const first = p.findIndex(c => c !== 0);
+  return first === -1 ? [0] : p.slice(first);
+}
+
+function addPolynomials(p, q) {
+  const length = Math.max(p.length, q.length);
+  const padded = (r) => [...Array(length - r.length).fill(0), ...r];
+  const [a, b] = [padded(p), padded(q)];
+  return trimLeadingZeros(a.map((c, i) => c + b[i]));
+}
+
+function scalePolynomial(p, factor) {
+  return trimLeadingZeros(p.map(c => c * factor));
+}
+
+function multiplyPolynomials(p, q) {
+  const product = Array(p.length + q.length - 1).fill(0);
+  p.forEach((a, i) => q.forEach((b, j) => {
+    product[i + j] += a * b;
+  }));
+  return trimLeadingZeros(product);
+}
+
+function dependsOnX(node) {
+  return node.filter(n => n.type === 'SymbolNode' && n.name === 'x').length > 0;
+}
+
+// Expands a mathjs node into coefficients, or returns null if it is not a polynomial in x
+function toPolynomial(node) {
+  if (!dependsOnX(node)) {
+    const value = node.evaluate();
+    return typeof value === 'number' && isFinite(value) ? [value] : null;
+  }
+
+  switch (node.type) {
+    case 'SymbolNode':
+      return [1, 0];
+    case 'ParenthesisNode':
+      return toPolynomial(node.content);
+    case 'OperatorNode': {
+      const args = node.args.map(toPolynomial);
+      if (args.some(arg => arg === null)) {
+        // A division by an x-free divisor is still a polynomial
+        if (node.fn === 'divide' && args[0] && !dependsOnX(node.args[1])) {
+          const divisor = node.args[1].evaluate();
+          return typeof divisor === 'number' && divisor !== 0 ? scalePolynomial(args[0], 1 / divisor) : null;
+        }
+        return null;
+      }
+      switch (node.fn) {
+        case 'add': return addPolynomials(args[0], args[1]);
+        case 'subtract': return addPolynomials(args[0], scalePolynomial(args[1], -1));
+        case 'multiply': return multiplyPolynomials(args[0], args[1]);
+        case 'unaryMinus': return scalePolynomial(args[0], -1);
+        case 'unaryPlus': return args[0];
+        case 'divide':
+          return args[1].length === 1 && args[1][0] !== 0 ? scalePolynomial(args[0], 1 / args[1][0]) : null;
+        case 'pow': {
+          const exponent = args[1].length === 1 ? args[1][0] : NaN;
+          if (!Number.isInteger(exponent) || exponent < 0 || exponent * (args[0].length - 1) > MAX_DEGREE) return null;
+          let result = [1];
+          for (let i = 0; i < exponent; i++) result = multiplyPolynomials(result, args[0]);
+          return result;
+        }
+        default:
+          return null;
+      }
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Detects whether an expression is a polynomial in x and expands it
+ * @param {string} expression - Math expression like "(x - 1)^2 (x + 3)"
+ * @returns {number[] | null} Coefficients from the highest degree down, or null
+ *   if the expression is not a polynomial of degree 1 to 60
+ */
+export function getPolynomialCoefficients(expression) {
+  try {
+    const coefficients = toPolynomial(parse(expression));
+    if (!coefficients || coefficients.length < 2 || coefficients.length - 1 > MAX_DEGREE) return null;
+    return coefficients;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Evaluates a polynomial with Horner's scheme; works for numbers and mathjs Complex values
+ * @param {number[]} p - Coefficients from the highest degree down
+ * @param {number | Complex} x
+ * @returns {number | Complex}
+ */
+export function evaluatePolynomial(p, x) {
+  if (typeof x === 'number') {
+    return p.reduce((sum, c) => sum * x + c, 0);
+  }
+  return p.reduce((sum, c) => sum.mul(x).add(c), complex(0));
+}
+
+/**
+ * Differentiates a polynomial
+ * @param {number[]} p
+ * @returns {number[]}
+ */
+export function differentiatePolynomial(p) {
+  const degree = p.length - 1;
+  if (degree === 0) return [0];
+  return p.slice(0, -1).map((c, i) => c * (degree - i));
+}
+
+/**
+ * Remainder of polynomial long division p mod q
+ * @param {number[]} p
+ * @param {number[]} q
+ * @returns {number[]}
+ */
+function polynomialRemainder(p, q) {
+  const remainder = [...p];
+  while (remainder.length >= q.length) {
+    const factor = remainder[0] / q[0];
+    for (let i = 0; i < q.length; i++) {
+      remainder[i] -= factor * q[i];
+    }
+    remainder.shift();
+  }
+  return remainder.length > 0 ? trimLeadingZeros(remainder) : [0];
+}
+
+/**
+ * Builds the Sturm sequence p, p′, −rem(p, p′), … Coefficients lost in
+ * rounding (relative to the largest coefficient of the step) are cleaned to zero.
+ * @param {number[]} p
+ * @returns {number[][]}
+ */
+export function sturmSequence(p) {
+  const sequence = [p, differentiatePolynomial(p)];
+  while (sequence[sequence.length - 1].length > 1) {
+    const [a, b] = sequence.slice(-2);
+    const raw = polynomialRemainder(a, b);
+    const scale = Math.max(...a.map(Math.abs), ...b.map(Math.abs));
+    const next = trimLeadingZeros(raw.map(c => (Math.abs(c) < 1e-10 * scale ? 0 : -c)));
+    if (next.length === 1 && next[0] === 0) break;
+    sequence.push(next);
+  }
+  return sequence;
+}
+
+function signChanges(sequence, x) {
+  const signs = sequence.map(q => Math.sign(evaluatePolynomial(q, x))).filter(s => s !== 0);
+  return signs.slice(1).filter((s, i) => s !== signs[i]).length;
+}
+
+/**
+ * Counts the distinct real roots of p in (a, b] with Sturm's theorem
+ * @param {number[]} p - Coefficients from the highest degree down
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+export function countRealRoots(p, a, b) {
+  const sequence = sturmSequence(p);
+  return signChanges(sequence, a) - signChanges(sequence, b);
+}
+
+/**
+ * Cauchy's bound: every root z of p has |z| < 1 + max |aᵢ / aₙ|
+ * @param {number[]} p - Coefficients from the highest degree down
+ * @returns {number}
+ */
+export function cauchyBound(p) {
+  return 1 + Math.max(...p.slice(1).map(c => Math.abs(c / p[0])));
+}
+
+/**
+ * Finds all complex roots at once with the Aberth–Ehrlich iteration. Each
+ * estimate takes a Newton step corrected for the pull of the other estimates,
+ * so they cannot converge to the same simple root.
+ * @param {number[]} p - Coefficients from the highest degree down
+ * @param {Object} options
+ * @param {number} options.tolerance - Stop when every correction is below this relative size (default: 1e-12)
+ * @returns {{ roots: Complex[], iterations: number, converged: boolean }}
+ */
+export function aberthRoots(p, { tolerance = 1e-12 } = {}) {
+  const degree = p.length - 1;
+  const dp = differentiatePolynomial(p);
+  const radius = cauchyBound(p);
+  // Start on a circle, slightly rotated so no estimate starts on the real axis
+  let roots = Array.from({ length: degree }, (_, k) =>
+    complex({ r: radius / 2, phi: (2 * Math.PI * k) / degree + 0.4 })
+  );
+
+  for (let iteration = 1; iteration <= MAX_ABERTH_ITERATIONS; iteration++) {
+    let largest = 0;
+    roots = roots.map((z, k) => {
+      const ratio = evaluatePolynomial(p, z).div(evaluatePolynomial(dp, z));
+      if (!isFinite(ratio.re) || !isFinite(ratio.im)) return z;
+      const repulsion = roots.reduce((sum, w, j) => (j === k ? sum : sum.add(complex(1).div(z.sub(w)))), complex(0));
+      const correction = ratio.div(complex(1).sub(ratio.mul(repulsion)));
+      largest = Math.max(largest, correction.abs() / Math.max(1, z.abs()));
+      return z.sub(correction);
+    });
+    if (largest < tolerance) {
+      return { roots: sortRoots(roots), iterations: iteration, converged: true };
+    }
+  }
+  return { roots: sortRoots(roots), iterations: MAX_ABERTH_ITERATIONS, converged: false };
+}
+
+/**
+ * Finds all complex roots one at a time: Newton's method finds a root of the
+ * deflated polynomial, the root is divided out, and every root is polished
+ * with a few Newton steps on the original p to undo the deflation error.
+ * @param {number[]} p - Coefficients from the highest degree down
+ * @param {Object} options
+ * @param {number} options.tolerance - Stop a run when the step is below this relative size (default: 1e-12)
+ * @returns {{ roots: Complex[], iterations: number, converged: boolean }}
+ */
+export function deflationRoots(p, { tolerance = 1e-12 } = {}) {
+  let deflated = p.map(c => complex(c));
+  const roots = [];
+  let iterations = 0;
+  let converged = true;
+
+  const newton = (q, z0, maxSteps) => {
+    const dq = q.slice(0, -1).map((c, i) => c.mul(q.length - 1 - i));
+    let z = z0;
+    for (let step = 0; step < maxSteps; step++) {
+      iterations++;
+      const correction = complexHorner(q, z).div(complexHorner(dq, z));
+      if (!isFinite(correction.re) || !isFinite(correction.im)) return { z, done: false };
+      z = z.sub(correction);
+      if (correction.abs() < tolerance * Math.max(1, z.abs())) return { z, done: true };
+    }
+    return { z, done: false };
+  };
+
+  while (deflated.length > 1) {
+    // A complex start lets Newton leave the real axis for complex roots
+    const { z, done } = newton(deflated, complex(0.4, 0.9), MAX_ABERTH_ITERATIONS);
+    converged = converged && done;
+    roots.push(z);
+    // Synthetic division by (x − z)
+    const quotient = [deflated[0]];
+    for (let i = 1; i < deflated.length - 1; i++) {
+      quotient.push(deflated[i].add(quotient[i - 1].mul(z)));
+    }
+    deflated = quotient;
+  }
+
+  const original = p.map(c => complex(c));
+  const polished = roots.map(z => newton(original, z, 5).z);
+  return { roots: sortRoots(polished), iterations, converged };
+}
+
+function complexHorner(q, z) {
+  return q.reduce((sum, c) => sum.mul(z).add(c), complex(0));
+}
+
+// Snaps nearly real roots onto the real axis and orders by real, then imaginary part
+function sortRoots(roots) {
+  return roots
+    .map(z => (Math.abs(z.im) < 1e-7 * Math.max(1, z.abs()) ? complex(z.re, 0) : z))
+    .sort((a, b) => a.re - b.re || a.im - b.im);
+}
+
+/**
+ * Writes a polynomial as LaTeX, e.g. x^{3} - 2x + 2
+ * @param {number[]} p - Coefficients from the highest degree down
+ * @param {number} digits - Significant digits for non-integer coefficients (default: 6)
+ * @returns {string}
+ */
+export function polynomialToLatex(p, digits = 6) {
+  const degree = p.length - 1;
+  const terms = p
+    .map((c, i) => ({ c, power: degree - i }))
+    .filter(({ c }) => c !== 0)
+    .map(({ c, power }, i) => {
+      const magnitude = Math.abs(c);
+      const number = Number.isInteger(magnitude) ? String(magnitude) : String(Number(magnitude.toPrecision(digits)));
+      const coefficient = magnitude === 1 && power > 0 ? '' : number;
+      const variable = power === 0 ? '' : power === 1 ? 'x' : `x^{${power}}`;
+      const sign = c < 0 ? '-' : '+';
+      return `${i === 0 ? (c < 0 ? '-' : '') : ` ${sign} `}${coefficient}${variable}`;
+    });
+  return terms.length > 0 ? terms.join('') : '0';
+}
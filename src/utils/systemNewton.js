@@ -0,0 +1,213 @@
+import { createFunction, createDerivative, getDerivativeString } from './mathParser';
+
+const VARIABLES = ['x', 'y'];
+
+/**
+ * Performs one step of Newton's method for the 2×2 system F(x, y) = 0.
+ * The step solves J·Δ = −F with Cramer's rule.
+ * @param {number[]} F - [f₁, f₂] at the current point
+ * @param {number[][]} J - Jacobian [[∂f₁/∂x, ∂f₁/∂y], [∂f₂/∂x, ∂f₂/∂y]] at the current point
+ * @returns {{ dx: number, dy: number, det: number }}
+ */
+export function systemNewtonStep(F, J) {
+  const [[a, b], [c, d]] = J;
+  const det = a * d - b * c;
+
+  if (det === 0 || !isFinite(det)) {
+    throw new Error('The Jacobian is singular here, so the Newton step is not defined.');
+  }
+
+  return {
+    dx: (b * F[1] - d * F[0]) / det,
+    dy: (c * F[0] - a * F[1]) / det,
+    det
+  };
+}
+
+/**
+ * Creates a Newton's method solver for two equations f₁(x, y) = 0 and f₂(x, y) = 0.
+ * Has the same interface as createNewtonSolver, but points are [x, y] pairs.
+ * Each record keeps ‖F‖ in `fx` so the shared color, stopping and progress
+ * helpers work unchanged.
+ * @param {string[]} expressions - [f₁, f₂], math expressions in x and y like ["x^2 + y^2 - 4", "x y - 1"]
+ * @returns {Object} Solver object with methods
+ */
+export function createSystemNewtonSolver(expressions) {
+  if (!Array.isArray(expressions) || expressions.length !== 2) {
+    throw new Error('A 2×2 system needs two expressions, f₁(x, y) and f₂(x, y)');
+  }
+
+  const fs = expressions.map(expression => createFunction(expression, { variables: VARIABLES }));
+  // Jacobian entries J[i][j] = ∂fᵢ/∂(x, y)ⱼ, built symbolically
+  const jacobian = expressions.map(expression =>
+    VARIABLES.map(variable => createDerivative(expression, 1, { variable, variables: VARIABLES }))
+  );
+  const jacobianStrings = expressions.map(expression =>
+    VARIABLES.map(variable => getDerivativeString(expression, 1, variable))
+  );
+
+  let iterations = [];
+  let current = null;
+
+  // Evaluates F and J at (x, y) for an iteration record
+  const evaluateAt = (x, y) => {
+    const F = fs.map(f => f(x, y));
+    const J = jacobian.map(row => row.map(partial => partial(x, y)));
+
+    if (!F.every(value => typeof value === 'number' && isFinite(value))) {
+      throw new Error(`The system is undefined at (${x}, ${y})`);
+    }
+    if (!J.flat().every(value => typeof value === 'number' && isFinite(value))) {
+      throw new Error(`The Jacobian is undefined at (${x}, ${y})`);
+    }
+
+    return {
+      x,
+      y,
+      f1: F[0],
+      f2: F[1],
+      fx: Math.hypot(F[0], F[1]),
+      jacobian: J,
+      det: J[0][0] * J[1][1] - J[0][1] * J[1][0]
+    };
+  };
+
+  return {
+    /**
+     * Sets the initial guess and resets iterations
+     * @param {number[]} point - Starting point [x₀, y₀]
+     * @throws {Error} If the system is undefined at the starting point
+     */
+    setInitialGuess(point) {
+      const [x0, y0] = point;
+      const record = evaluateAt(x0, y0);
+      current = [x0, y0];
+      iterations = [{ n: 0, ...record }];
+    },
+
+    /**
+     * Performs the next iteration
+     * @returns {Object} Iteration data
+     */
+    nextIteration() {
+      if (current === null) {
+        throw new Error('Initial guess not set');
+      }
+
+      const last = iterations[iterations.length - 1];
+      let step;
+      try {
+        step = systemNewtonStep([last.f1, last.f2], last.jacobian);
+      } catch {
+        throw new Error(`The Jacobian is singular at (${last.x.toFixed(6)}, ${last.y.toFixed(6)}). Newton's method cannot continue.`);
+      }
+
+      const x = last.x + step.dx;
+      const y = last.y + step.dy;
+      if (!isFinite(x) || !isFinite(y)) {
+        throw new Error('Newton\'s method diverged to infinity');
+      }
+
+      let record;
+      try {
+        record = evaluateAt(x, y);
+      } catch {
+        throw new Error(`Iteration landed where the system is undefined, at (${x}, ${y})`);
+      }
+
+      const iterationData = {
+        n: iterations.length,
+        ...record,
+        prevX: last.x,
+        prevY: last.y
+      };
+
+      current = [x, y];
+      iterations.push(iterationData);
+      return iterationData;
+    },
+
+    /**
+     * Gets all iterations so far
+     * @returns {Array} All iteration data
+     */
+    getIterations() {
+      return [...iterations];
+    },
+
+    /**
+     * Gets the current point
+     * @returns {number[]} [x, y]
+     */
+    getCurrentX() {
+      return current;
+    },
+
+    /**
+     * Evaluates both functions at a point
+     * @param {number} x
+     * @param {number} y
+     * @returns {number[]} [f₁(x, y), f₂(x, y)]
+     */
+    evaluate(x, y) {
+      return fs.map(f => f(x, y));
+    },
+
+    /**
+     * Gets the functions, for drawing their zero contours
+     * @returns {Function[]} [f₁, f₂], each taking (x, y)
+     */
+    getFunctions() {
+      return fs;
+    },
+
+    /**
+     * Gets the Jacobian entries as strings
+     * @returns {string[][]} [[∂f₁/∂x, ∂f₁/∂y], [∂f₂/∂x, ∂f₂/∂y]]
+     */
+    getJacobianStrings() {
+      return jacobianStrings;
+    },
+
+    /**
+     * Gets the derivative string, here the Jacobian written as a matrix
+     * @returns {string}
+     */
+    getDerivativeString() {
+      return `[[${jacobianStrings[0].join(', ')}], [${jacobianStrings[1].join(', ')}]]`;
+    },
+
+    /**
+     * Checks if the method has converged
+     * @param {number} tolerance - Convergence tolerance on ‖F‖
+     * @returns {boolean}
+     */
+    hasConverged(tolerance = 1e-10) {
+      if (iterations.length < 2) return false;
+      return iterations[iterations.length - 1].fx < tolerance;
+    },
+
+    /**
+     * Resets the solver
+     */
+    reset() {
+      iterations = [];
+      current = null;
+    }
+  };
+}
+
+/**
+ * Finds the zero line of the tangent plane of fᵢ at an iterate:
+ * fᵢ + ∂fᵢ/∂x·(x − xₙ) + ∂fᵢ/∂y·(y − yₙ) = 0, written as c + a·x + b·y = 0.
+ * The two lines of an iterate meet at the next iterate.
+ * @param {Object} iter - Iteration record from createSystemNewtonSolver
+ * @param {number} index - 0 for f₁, 1 for f₂
+ * @returns {number[] | null} [c, a, b], or null if the plane is flat
+ */
+export function getTangentLine(iter, index) {
+  const value = index === 0 ? iter.f1 : iter.f2;
+  const [a, b] = iter.jacobian[index];
+  if (a === 0 && b === 0) return null;
+  return [value - a * iter.x - b * iter.y, a, b];
+}
@@ -0,0 +1,86 @@
+/**
+ * Taylor polynomials T_k(t) = Σ f⁽ʲ⁾(c)/j! · (t − c)ʲ of f about a center c, stored as
+ * coefficient arrays from the constant term up: [f(c), f′(c), f″(c)/2, …].
+ * The derivatives come from createDerivatives in mathParser.
+ */
+
+// Highest order the graph offers; the error bound needs one derivative more
+export const MAX_TAYLOR_ORDER = 6;
+const BOUND_SAMPLES = 64;
+
+function factorial(n) {
+  let result = 1;
+  for (let i = 2; i <= n; i++) result *= i;
+  return result;
+}
+
+/**
+ * Computes the Taylor coefficients of f about a center
+ * @param {Function[]} derivatives - [f, f′, f″, …] with at least order + 1 entries
+ * @param {number} center - Expansion point c
+ * @param {number} order - Degree k of the polynomial
+ * @returns {number[] | null} [c₀, …, c_k] with cⱼ = f⁽ʲ⁾(c)/j!, or null if a derivative is undefined at c
+ */
+export function taylorCoefficients(derivatives, center, order) {
+  const coefficients = derivatives.slice(0, order + 1).map((fj, j) => fj(center) / factorial(j));
+  return coefficients.every(c => typeof c === 'number' && isFinite(c)) ? coefficients : null;
+}
+
+/**
+ * Evaluates a Taylor polynomial with Horner's scheme in (t − c)
+ * @param {number[]} coefficients - From taylorCoefficients
+ * @param {number} center - Expansion point c
+ * @param {number} t
+ * @returns {number}
+ */
+export function evaluateTaylor(coefficients, center, t) {
+  const d = t - center;
+  return coefficients.reduceRight((sum, c) => sum * d + c, 0);
+}
+
+/**
+ * Bounds the truncation error with the Lagrange remainder:
+ * |f(t) − T_k(t)| ≤ M/(k+1)! · |t − c|^(k+1), where M = max |f⁽ᵏ⁺¹⁾| between c and t.
+ * M is estimated by sampling, so the bound is close but not rigorous.
+ * @param {Function[]} derivatives - [f, f′, f″, …] with at least order + 2 entries
+ * @param {number} order - Degree k of the polynomial
+ * @param {number} center - Expansion point c
+ * @param {number} t - Where the error is bounded
+ * @returns {{ bound: number, maxDerivative: number } | null} Null if f⁽ᵏ⁺¹⁾ is undefined between c and t
+ */
+export function taylorErrorBound(derivatives, order, center, t) {
+  const next = derivatives[order + 1];
+  let maxDerivative = 0;
+  for (let i = 0; i <= BOUND_SAMPLES; i++) {
+    const value = Math.abs(next(center + ((t - center) * i) / BOUND_SAMPLES));
+    if (!isFinite(value)) return null;
+    maxDerivative = Math.max(maxDerivative, value);
+  }
+
+  return {
+    bound: (maxDerivative / factorial(order + 1)) * Math.abs(t - center) ** (order + 1),
+    maxDerivative
+  };
+}
+
+/**
+ * Writes a Taylor polynomial as LaTeX in powers of (t − c)
+ * @param {number[]} coefficients - From taylorCoefficients
+ * @param {number} center - Expansion point c
+ * @param {number} digits - Significant digits (default: 6)
+ * @returns {string}
+ */
+export function taylorToLatex(coefficients, center, digits = 6) {
+  const shift = center === 0 ? 't' : `(t ${center < 0 ? '+' : '-'} ${Number(Math.abs(center).toPrecision(digits))})`;
+  const terms = coefficients
+    .map((c, j) => ({ c, j }))
+    .filter(({ c }) => c !== 0)
+    .map(({ c, j }, i) => {
+      const number = String(Number(Math.abs(c).toPrecision(digits)));
+      const coefficient = number === '1' && j > 0 ? '' : number;
+      const power = j === 0 ? '' : j === 1 ? shift : `${shift}^{${j}}`;
+      const sign = c < 0 ? '-' : '+';
+      return `${i === 0 ? (c < 0 ? '-' : '') : ` ${sign} `}${coefficient}${power}`;
+    });
+  return terms.length > 0 ? terms.join('') : '0';
+}